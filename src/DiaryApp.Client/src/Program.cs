@@ -21,8 +21,9 @@ builder.Services.AddScoped<ISearchClient, SearchClient>();
 builder.Services.AddScoped<IMediaSettingsClient, MediaSettingsClient>();
 builder.Services.AddScoped<IServerSettingsClient, ServerSettingsClient>();
 builder.Services.AddScoped<IDevicePreferencesService, DevicePreferencesService>();
-builder.Services.AddScoped<VideoUploadService>();
+builder.Services.AddScoped<ResumableUploadService>();
 builder.Services.AddScoped<IOutgoingUploadQueue, OutgoingUploadQueue>();
+builder.Services.AddScoped<OfflineEntryCache>();
 builder.Services.AddScoped<AuthenticationStatusService>();
 builder.Services.AddScoped<ToastService>();
 
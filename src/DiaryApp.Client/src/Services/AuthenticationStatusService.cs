@@ -1,17 +1,20 @@
 using System.Net.Http.Json;
 using DiaryApp.Shared.Abstractions;
+using Microsoft.JSInterop;
 
 namespace DiaryApp.Client.Services;
 
-public sealed class AuthenticationStatusService
+public sealed class AuthenticationStatusService : IAsyncDisposable
 {
     private readonly HttpClient _httpClient;
+    private readonly Lazy<Task<IJSObjectReference>> _offlineCacheModuleTask;
     private UserStatusDto? _cachedStatus;
     private bool _loaded;
 
-    public AuthenticationStatusService(HttpClient httpClient)
+    public AuthenticationStatusService(HttpClient httpClient, IJSRuntime jsRuntime)
     {
         _httpClient = httpClient;
+        _offlineCacheModuleTask = new(() => jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/offlineCache.js").AsTask());
     }
 
     public async Task<UserStatusDto> GetStatusAsync()
@@ -24,6 +27,12 @@ public sealed class AuthenticationStatusService
         try
         {
             _cachedStatus = await _httpClient.GetFromJsonAsync<UserStatusDto>("authentication/status");
+            if (_cachedStatus is not null)
+            {
+                // Only a real answer from the server may change whose data is cached; offline we keep the last user.
+                // Not awaited: the service worker confirms the owner with the server before serving cached data.
+                _ = UpdateOfflineCacheOwnerAsync(_cachedStatus);
+            }
         }
         catch
         {
@@ -37,10 +46,32 @@ public sealed class AuthenticationStatusService
         return _cachedStatus!;
     }
 
+    private async Task UpdateOfflineCacheOwnerAsync(UserStatusDto status)
+    {
+        try
+        {
+            var module = await _offlineCacheModuleTask.Value;
+            await module.InvokeVoidAsync("setCacheUser", status.AccountId);
+        }
+        catch (JSException ex)
+        {
+            Console.WriteLine($"Failed to update the offline cache owner: {ex.Message}");
+        }
+    }
+
     public async Task<UserStatusDto> RefreshAsync()
     {
         _loaded = false;
         _cachedStatus = null;
         return await GetStatusAsync();
     }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_offlineCacheModuleTask.IsValueCreated)
+        {
+            var module = await _offlineCacheModuleTask.Value;
+            await module.DisposeAsync();
+        }
+    }
 }
@@ -9,17 +9,27 @@ public sealed class BrowserVideoCaptureService(IJSRuntime jsRuntime, IDevicePref
 {
     private IJSObjectReference? _module;
 
-    public async Task StartRecordingAsync(ElementReference videoElement, ElementReference? meterElement = null, bool captureScreen = false)
+    public async Task<EffectiveRecordingSettings> StartRecordingAsync(ElementReference videoElement, ElementReference? meterElement = null, bool captureScreen = false, bool audioOnly = false)
     {
-        _module ??= await jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/videoRecorder.js");
+        var module = await GetModuleAsync();
         var preferences = await devicePreferencesService.GetDevicePreferencesAsync();
+        var recording = await devicePreferencesService.GetRecordingPreferencesAsync();
         var options = new
         {
             cameraDeviceId = string.IsNullOrWhiteSpace(preferences.CameraDeviceId) ? null : preferences.CameraDeviceId,
-            microphoneDeviceId = string.IsNullOrWhiteSpace(preferences.MicrophoneDeviceId) ? null : preferences.MicrophoneDeviceId
+            microphoneDeviceId = string.IsNullOrWhiteSpace(preferences.MicrophoneDeviceId) ? null : preferences.MicrophoneDeviceId,
+            cameraLabel = preferences.CameraLabel,
+            microphoneLabel = preferences.MicrophoneLabel,
+            cameraFacingMode = preferences.CameraFacingMode,
+            effects = recording.Effects,
+            pictureInPicture = recording.PictureInPicture,
+            qualityProfile = recording.QualityProfile,
+            audioProcessing = recording.AudioProcessing ?? AudioProcessingSettings.Default,
+            audioOnly,
+            allowAudioOnlyFallback = true
         };
         var meterRef = meterElement ?? default;
-        await _module.InvokeVoidAsync("startRecording", videoElement, options, meterRef, captureScreen);
+        return await module.InvokeAsync<EffectiveRecordingSettings>("startRecording", videoElement, options, meterRef, captureScreen);
     }
 
     public async Task SwitchCaptureAsync(ElementReference videoElement, ElementReference? meterElement = null, bool captureScreen = false)
@@ -30,15 +40,107 @@ public sealed class BrowserVideoCaptureService(IJSRuntime jsRuntime, IDevicePref
         }
 
         var preferences = await devicePreferencesService.GetDevicePreferencesAsync();
+        var recording = await devicePreferencesService.GetRecordingPreferencesAsync();
         var options = new
         {
             cameraDeviceId = string.IsNullOrWhiteSpace(preferences.CameraDeviceId) ? null : preferences.CameraDeviceId,
-            microphoneDeviceId = string.IsNullOrWhiteSpace(preferences.MicrophoneDeviceId) ? null : preferences.MicrophoneDeviceId
+            microphoneDeviceId = string.IsNullOrWhiteSpace(preferences.MicrophoneDeviceId) ? null : preferences.MicrophoneDeviceId,
+            cameraLabel = preferences.CameraLabel,
+            microphoneLabel = preferences.MicrophoneLabel,
+            cameraFacingMode = preferences.CameraFacingMode,
+            // Switching to the screen mid-recording is when the webcam bubble is needed
+            pictureInPicture = recording.PictureInPicture,
+            qualityProfile = recording.QualityProfile
         };
         var meterRef = meterElement ?? default;
         await _module.InvokeVoidAsync("switchSource", videoElement, options, meterRef, captureScreen);
     }
 
+    public async Task<EffectiveRecordingSettings?> GetEffectiveRecordingSettingsAsync()
+    {
+        if (_module is null)
+        {
+            return null;
+        }
+
+        return await _module.InvokeAsync<EffectiveRecordingSettings>("getEffectiveRecordingSettings");
+    }
+
+    public async Task<IReadOnlyList<QualityProfile>> GetQualityProfilesAsync()
+    {
+        var module = await GetModuleAsync();
+        var profiles = await module.InvokeAsync<QualityProfile[]>("getQualityProfiles");
+        return profiles ?? Array.Empty<QualityProfile>();
+    }
+
+    public async Task<bool> CanFlipCameraAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("canFlipCamera");
+    }
+
+    public async Task<CameraFlipResult?> FlipCameraAsync()
+    {
+        if (_module is null)
+        {
+            return null;
+        }
+
+        return await _module.InvokeAsync<CameraFlipResult?>("flipCamera");
+    }
+
+    /// <summary>Changes the effects of the running recording; they reset to the saved ones on the next start.</summary>
+    public async Task SetEffectsAsync(RecordingEffects effects)
+    {
+        if (_module is null)
+        {
+            return;
+        }
+
+        await _module.InvokeVoidAsync("setEffects", effects);
+    }
+
+    /// <summary>Changes the audio processing of the running recording; it resets to the saved settings on the next start.</summary>
+    public async Task SetAudioProcessingAsync(AudioProcessingSettings settings)
+    {
+        if (_module is null)
+        {
+            return;
+        }
+
+        await _module.InvokeVoidAsync("setAudioProcessing", settings);
+    }
+
+    public async Task PauseRecordingAsync()
+    {
+        if (_module is null)
+        {
+            return;
+        }
+
+        await _module.InvokeVoidAsync("pauseRecording");
+    }
+
+    public async Task ResumeRecordingAsync()
+    {
+        if (_module is null)
+        {
+            return;
+        }
+
+        await _module.InvokeVoidAsync("resumeRecording");
+    }
+
+    public async Task<RecordingState> GetRecordingStateAsync()
+    {
+        if (_module is null)
+        {
+            return RecordingState.Inactive;
+        }
+
+        return await _module.InvokeAsync<RecordingState>("getRecordingState");
+    }
+
     public async Task StopRecordingAsync()
     {
         if (_module is null)
@@ -60,6 +162,135 @@ public sealed class BrowserVideoCaptureService(IJSRuntime jsRuntime, IDevicePref
         return array.Length == 0 ? null : new MemoryStream(array);
     }
 
+    public async Task<IRecordingReader?> OpenRecordingReaderAsync()
+    {
+        if (_module is null)
+        {
+            return null;
+        }
+
+        var handle = await _module.InvokeAsync<IJSObjectReference?>("openRecordingReader");
+        if (handle is null)
+        {
+            return null;
+        }
+
+        var size = await handle.InvokeAsync<long>("getSize");
+        if (size == 0)
+        {
+            await handle.DisposeAsync();
+            return null;
+        }
+
+        var mimeType = await handle.InvokeAsync<string>("getMimeType");
+        return new JsRecordingReader(handle, size, mimeType);
+    }
+
+    public async Task<string?> GetRecordingMimeTypeAsync()
+    {
+        if (_module is null)
+        {
+            return null;
+        }
+
+        return await _module.InvokeAsync<string?>("getRecordingMimeType");
+    }
+
+    public async Task DiscardRecordingAsync()
+    {
+        if (_module is null)
+        {
+            return;
+        }
+
+        await _module.InvokeVoidAsync("discardRecording");
+    }
+
+    /// <summary>Loads the finished recording into <paramref name="videoElement"/> and returns its length in seconds.</summary>
+    public async Task<double?> OpenTrimPreviewAsync(ElementReference videoElement)
+    {
+        if (_module is null)
+        {
+            return null;
+        }
+
+        return await _module.InvokeAsync<double?>("openTrimPreview", videoElement);
+    }
+
+    public async Task SeekTrimPreviewAsync(double seconds)
+    {
+        if (_module is null)
+        {
+            return;
+        }
+
+        await _module.InvokeVoidAsync("seekTrimPreview", seconds);
+    }
+
+    public async Task CloseTrimPreviewAsync()
+    {
+        if (_module is null)
+        {
+            return;
+        }
+
+        await _module.InvokeVoidAsync("closeTrimPreview");
+    }
+
+    /// <summary>
+    /// Re-records the selected range in the browser and returns the trimmed size in bytes. Cancelling
+    /// stops the re-recording and keeps the recording as it was; the call then throws a <see cref="JSException"/>.
+    /// </summary>
+    public async Task<long> TrimRecordingAsync(double startSeconds, double endSeconds, IProgress<double>? progress = null, CancellationToken cancellationToken = default)
+    {
+        var module = await GetModuleAsync();
+        using var callbacks = DotNetObjectReference.Create(new TrimCallbacks(progress));
+        // Cancelling the .NET wait alone would leave the re-recording running, so abort it explicitly
+        await using var registration = cancellationToken.Register(() => _ = module.InvokeVoidAsync("cancelTrim").AsTask());
+        return await module.InvokeAsync<long>("trimRecording", startSeconds, endSeconds, callbacks);
+    }
+
+    public async Task<IReadOnlyCollection<RecoverableRecording>> ListRecoverableRecordingsAsync()
+    {
+        var module = await GetModuleAsync();
+        var recordings = await module.InvokeAsync<RecoverableRecording[]>("listRecoverableRecordings");
+        return recordings ?? Array.Empty<RecoverableRecording>();
+    }
+
+    public async Task<RecoverableRecording?> RecoverRecordingAsync(string id)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<RecoverableRecording?>("recoverRecording", id);
+    }
+
+    public async Task DiscardRecoverableRecordingAsync(string id)
+    {
+        var module = await GetModuleAsync();
+        await module.InvokeVoidAsync("discardRecoverableRecording", id);
+    }
+
+    public async Task<IAsyncDisposable> WatchAudioAlertsAsync(Func<AudioAlert, Task> onAlert)
+    {
+        var module = await GetModuleAsync();
+        var callbacks = DotNetObjectReference.Create(new AudioAlertCallbacks(onAlert));
+        var handle = await module.InvokeAsync<IJSObjectReference>("watchAudioAlerts", callbacks);
+        return new CallbackSubscription<AudioAlertCallbacks>(handle, callbacks);
+    }
+
+    public async Task<IAsyncDisposable> WatchCaptureRecoveryAsync(Func<CaptureDeviceRecovery, Task> onRecovery)
+    {
+        var module = await GetModuleAsync();
+        var callbacks = DotNetObjectReference.Create(new RecoveryCallbacks(onRecovery));
+        var handle = await module.InvokeAsync<IJSObjectReference>("watchCaptureRecovery", callbacks);
+        return new CallbackSubscription<RecoveryCallbacks>(handle, callbacks);
+    }
+
+    private async Task<IJSObjectReference> GetModuleAsync()
+    {
+        _module ??= await jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/videoRecorder.js");
+        return _module;
+    }
+
     public async ValueTask DisposeAsync()
     {
         if (_module is not null)
@@ -67,4 +298,57 @@ public sealed class BrowserVideoCaptureService(IJSRuntime jsRuntime, IDevicePref
             await _module.DisposeAsync();
         }
     }
+
+    private sealed class TrimCallbacks(IProgress<double>? progress)
+    {
+        [JSInvokable]
+        public void OnTrimProgress(double fraction) => progress?.Report(fraction);
+    }
+
+    private sealed class AudioAlertCallbacks(Func<AudioAlert, Task> onAlert)
+    {
+        [JSInvokable]
+        public Task OnAudioAlert(string type, bool active, double? levelDb)
+            => onAlert(new AudioAlert(type, active, levelDb));
+    }
+
+    private sealed class RecoveryCallbacks(Func<CaptureDeviceRecovery, Task> onRecovery)
+    {
+        [JSInvokable]
+        public Task OnCaptureDeviceRecovered(string kind, string? deviceId, string? label, bool succeeded)
+            => onRecovery(new CaptureDeviceRecovery(kind, deviceId, label, succeeded));
+    }
+
+    private sealed class CallbackSubscription<TCallbacks>(IJSObjectReference handle, DotNetObjectReference<TCallbacks> callbacks) : IAsyncDisposable
+        where TCallbacks : class
+    {
+        public async ValueTask DisposeAsync()
+        {
+            try
+            {
+                await handle.InvokeVoidAsync("dispose");
+                await handle.DisposeAsync();
+            }
+            catch (JSDisconnectedException)
+            {
+                // The page is already gone
+            }
+            finally
+            {
+                callbacks.Dispose();
+            }
+        }
+    }
+
+    private sealed class JsRecordingReader(IJSObjectReference handle, long size, string mimeType) : IRecordingReader
+    {
+        public long Size => size;
+
+        public string MimeType => mimeType;
+
+        public async Task<byte[]> ReadChunkAsync(long offset, int length, CancellationToken cancellationToken = default)
+            => await handle.InvokeAsync<byte[]>("readChunk", cancellationToken, offset, length);
+
+        public ValueTask DisposeAsync() => handle.DisposeAsync();
+    }
 }
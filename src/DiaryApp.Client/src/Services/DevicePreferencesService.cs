@@ -25,7 +25,7 @@ public sealed class DevicePreferencesService : IDevicePreferencesService, IAsync
         {
             var module = await GetModuleAsync();
             var result = await module.InvokeAsync<DevicePreferencesDto>("getDevicePreferences");
-            return new DevicePreferences(result.CameraDeviceId, result.MicrophoneDeviceId, result.CameraLabel, result.MicrophoneLabel);
+            return new DevicePreferences(result.CameraDeviceId, result.MicrophoneDeviceId, result.CameraLabel, result.MicrophoneLabel, result.CameraFacingMode);
         }
         catch (Exception)
         {
@@ -38,7 +38,7 @@ public sealed class DevicePreferencesService : IDevicePreferencesService, IAsync
         try
         {
             var module = await GetModuleAsync();
-            return await module.InvokeAsync<bool>("setDevicePreferences", preferences.CameraDeviceId, preferences.MicrophoneDeviceId, preferences.CameraLabel, preferences.MicrophoneLabel);
+            return await module.InvokeAsync<bool>("setDevicePreferences", preferences.CameraDeviceId, preferences.MicrophoneDeviceId, preferences.CameraLabel, preferences.MicrophoneLabel, preferences.CameraFacingMode);
         }
         catch (Exception)
         {
@@ -59,6 +59,32 @@ public sealed class DevicePreferencesService : IDevicePreferencesService, IAsync
         }
     }
 
+    public async Task<RecordingPreferences> GetRecordingPreferencesAsync()
+    {
+        try
+        {
+            var module = await GetModuleAsync();
+            return await module.InvokeAsync<RecordingPreferences>("getRecordingPreferences");
+        }
+        catch (Exception)
+        {
+            return RecordingPreferences.Default;
+        }
+    }
+
+    public async Task<bool> SaveRecordingPreferencesAsync(RecordingPreferences preferences)
+    {
+        try
+        {
+            var module = await GetModuleAsync();
+            return await module.InvokeAsync<bool>("setRecordingPreferences", preferences);
+        }
+        catch (Exception)
+        {
+            return false;
+        }
+    }
+
     public async ValueTask DisposeAsync()
     {
         if (_module is not null)
@@ -73,5 +99,6 @@ public sealed class DevicePreferencesService : IDevicePreferencesService, IAsync
         public string? MicrophoneDeviceId { get; set; }
         public string? CameraLabel { get; set; }
         public string? MicrophoneLabel { get; set; }
+        public string? CameraFacingMode { get; set; }
     }
 }
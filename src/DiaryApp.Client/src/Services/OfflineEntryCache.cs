@@ -0,0 +1,56 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using Microsoft.JSInterop;
+
+namespace DiaryApp.Client.Services;
+
+/// <summary>
+/// Keeps entry videos in the service worker's Cache Storage so they can be played and seeked offline.
+/// Copies (and the preview filmstrips kept in IndexedDB) belong to the signed-in user and are cleared on sign-out.
+/// </summary>
+public sealed class OfflineEntryCache(IJSRuntime jsRuntime) : IAsyncDisposable
+{
+    private readonly Lazy<Task<IJSObjectReference>> _moduleTask =
+        new(() => jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/offlineCache.js").AsTask());
+
+    public async Task<IReadOnlySet<Guid>> ListAsync(CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        var ids = await module.InvokeAsync<string[]>("listOfflineEntries", cancellationToken);
+        return ids
+            .Select(id => Guid.TryParse(id, out var entryId) ? entryId : Guid.Empty)
+            .Where(id => id != Guid.Empty)
+            .ToHashSet();
+    }
+
+    /// <summary>Downloads the video and returns its size in bytes.</summary>
+    public async Task<long> MakeAvailableOfflineAsync(Guid entryId, CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        return await module.InvokeAsync<long>("makeEntryAvailableOffline", cancellationToken, entryId);
+    }
+
+    public async Task RemoveAsync(Guid entryId, CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        await module.InvokeVoidAsync("removeOfflineEntry", cancellationToken, entryId);
+    }
+
+    /// <summary>Removes what this browser keeps for a deleted entry, such as its preview filmstrip.</summary>
+    public async Task ForgetEntryAsync(Guid entryId, CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        await module.InvokeVoidAsync("forgetEntry", cancellationToken, entryId);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_moduleTask.IsValueCreated)
+        {
+            var module = await _moduleTask.Value;
+            await module.DisposeAsync();
+        }
+    }
+}
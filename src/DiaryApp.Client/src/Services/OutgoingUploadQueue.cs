@@ -2,16 +2,43 @@ using System;
 using System.Collections.Generic;
 using System.Linq;
 using System.Threading;
+using Microsoft.AspNetCore.Components;
 using Microsoft.JSInterop;
 
 namespace DiaryApp.Client.Services;
 
 public interface IOutgoingUploadQueue
 {
-    Task EnqueueAsync(OutgoingEntry entry, CancellationToken cancellationToken = default);
+    /// <summary>
+    /// Stores the entry for a later upload. Returns a warning when storage is nearly full and throws
+    /// a <see cref="JSException"/> when the recording does not fit in the remaining quota.
+    /// </summary>
+    Task<string?> EnqueueAsync(OutgoingEntry entry, CancellationToken cancellationToken = default);
+    Task<OutgoingStorageUsage> GetStorageUsageAsync(CancellationToken cancellationToken = default);
     Task<IReadOnlyCollection<OutgoingEntryMetadata>> ListAsync(CancellationToken cancellationToken = default);
     Task<OutgoingEntry?> GetAsync(Guid id, CancellationToken cancellationToken = default);
+    Task<IReadOnlyCollection<OutgoingEntryMetadata>> ListByStatusAsync(OutgoingEntryStatus status, CancellationToken cancellationToken = default);
+    Task<OutgoingEntryMetadata?> UpdateStatusAsync(Guid id, OutgoingEntryStatus status, string? error = null, CancellationToken cancellationToken = default);
+    /// <summary>
+    /// Marks entries left "uploading" by a closed tab or stopped service worker as failed, skipping
+    /// any that are still locked by an active upload. Returns how many were reset.
+    /// </summary>
+    Task<int> RecoverInterruptedUploadsAsync(CancellationToken cancellationToken = default);
     Task RemoveAsync(Guid id, CancellationToken cancellationToken = default);
+    /// <summary>Downloads a portable archive (video plus JSON metadata) for one entry and returns its file name.</summary>
+    Task<string> ExportEntryAsync(Guid id, CancellationToken cancellationToken = default);
+    Task<OutgoingArchiveExport> ExportAllAsync(CancellationToken cancellationToken = default);
+    /// <summary>Imports the archives selected in a file input back into the queue.</summary>
+    Task<OutgoingArchiveImport> ImportArchivesAsync(ElementReference fileInput, CancellationToken cancellationToken = default);
+    Task<IAsyncDisposable> WatchAsync(Func<OutgoingQueueChange, Task> onChanged, CancellationToken cancellationToken = default);
+}
+
+public enum OutgoingEntryStatus
+{
+    Pending = 0,
+    Uploading = 1,
+    Failed = 2,
+    Paused = 3
 }
 
 public record OutgoingEntryMetadata(
@@ -21,19 +48,43 @@ public record OutgoingEntryMetadata(
     string? Tags,
     string FileName,
     DateTimeOffset CreatedAt,
-    long SizeBytes);
+    long SizeBytes,
+    OutgoingEntryStatus Status = OutgoingEntryStatus.Pending,
+    int Attempts = 0,
+    string? LastError = null,
+    DateTimeOffset? LastAttemptAt = null,
+    long UploadedBytes = 0);
 
 public record OutgoingEntry(OutgoingEntryMetadata Metadata, byte[] Data);
 
+/// <summary>Space used by the queue. Usage and quota are null when the browser cannot estimate them.</summary>
+public record OutgoingStorageUsage(int EntryCount, long QueuedBytes, long? UsageBytes, long? QuotaBytes, bool Persisted);
+
+public record OutgoingArchiveExport(string FileName, int EntryCount);
+
+public record OutgoingArchiveImport(int Imported, int Skipped);
+
+/// <summary>
+/// Raised when the service worker uploads or fails to upload a queued entry in the background,
+/// or when another tab changes the queue ("queue-changed").
+/// </summary>
+public record OutgoingQueueChange(string Type, string Id, string? Error)
+{
+    public bool Uploaded => Type == "outgoing-uploaded";
+    public bool Failed => Type == "outgoing-failed";
+}
+
 public sealed class OutgoingUploadQueue(IJSRuntime jsRuntime) : IOutgoingUploadQueue, IAsyncDisposable
 {
     private readonly Lazy<Task<IJSObjectReference>> _moduleTask =
         new(() => jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/outgoingQueue.js").AsTask());
+    private readonly Lazy<Task<IJSObjectReference>> _archiveModuleTask =
+        new(() => jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/outgoingArchive.js").AsTask());
 
-    public async Task EnqueueAsync(OutgoingEntry entry, CancellationToken cancellationToken = default)
+    public async Task<string?> EnqueueAsync(OutgoingEntry entry, CancellationToken cancellationToken = default)
     {
         var module = await _moduleTask.Value;
-        await module.InvokeVoidAsync(
+        return await module.InvokeAsync<string?>(
             "enqueue",
             cancellationToken,
             new
@@ -45,24 +96,46 @@ public sealed class OutgoingUploadQueue(IJSRuntime jsRuntime) : IOutgoingUploadQ
                 entry.Metadata.FileName,
                 createdAt = entry.Metadata.CreatedAt,
                 sizeBytes = entry.Metadata.SizeBytes,
+                status = ToJsStatus(entry.Metadata.Status),
+                attempts = entry.Metadata.Attempts,
+                lastError = entry.Metadata.LastError,
+                lastAttemptAt = entry.Metadata.LastAttemptAt,
+                uploadedBytes = entry.Metadata.UploadedBytes,
                 data = entry.Data
             });
     }
 
+    public async Task<OutgoingStorageUsage> GetStorageUsageAsync(CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        return await module.InvokeAsync<OutgoingStorageUsage>("getStorageUsage", cancellationToken);
+    }
+
     public async Task<IReadOnlyCollection<OutgoingEntryMetadata>> ListAsync(CancellationToken cancellationToken = default)
     {
         var module = await _moduleTask.Value;
         var items = await module.InvokeAsync<QueueItem[]>("list", cancellationToken);
-        return items
-            .Select(item => new OutgoingEntryMetadata(
-                item.Id,
-                item.Title,
-                item.Description,
-                item.Tags,
-                item.FileName,
-                item.CreatedAt,
-                item.SizeBytes ?? item.Data?.LongLength ?? 0))
-            .ToArray();
+        return items.Select(ToMetadata).ToArray();
+    }
+
+    public async Task<IReadOnlyCollection<OutgoingEntryMetadata>> ListByStatusAsync(OutgoingEntryStatus status, CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        var items = await module.InvokeAsync<QueueItem[]>("listByStatus", cancellationToken, ToJsStatus(status));
+        return items.Select(ToMetadata).ToArray();
+    }
+
+    public async Task<OutgoingEntryMetadata?> UpdateStatusAsync(Guid id, OutgoingEntryStatus status, string? error = null, CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        var item = await module.InvokeAsync<QueueItem?>("updateStatus", cancellationToken, id, ToJsStatus(status), new { error });
+        return item is null ? null : ToMetadata(item);
+    }
+
+    public async Task<int> RecoverInterruptedUploadsAsync(CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        return await module.InvokeAsync<int>("recoverInterruptedUploads", cancellationToken);
     }
 
     public async Task<OutgoingEntry?> GetAsync(Guid id, CancellationToken cancellationToken = default)
@@ -74,15 +147,7 @@ public sealed class OutgoingUploadQueue(IJSRuntime jsRuntime) : IOutgoingUploadQ
             return null;
         }
 
-        var metadata = new OutgoingEntryMetadata(
-            item.Id,
-            item.Title,
-            item.Description,
-            item.Tags,
-            item.FileName,
-            item.CreatedAt,
-            item.SizeBytes ?? item.Data.LongLength);
-        return new OutgoingEntry(metadata, item.Data);
+        return new OutgoingEntry(ToMetadata(item), item.Data);
     }
 
     public async Task RemoveAsync(Guid id, CancellationToken cancellationToken = default)
@@ -91,6 +156,32 @@ public sealed class OutgoingUploadQueue(IJSRuntime jsRuntime) : IOutgoingUploadQ
         await module.InvokeVoidAsync("remove", cancellationToken, id);
     }
 
+    public async Task<string> ExportEntryAsync(Guid id, CancellationToken cancellationToken = default)
+    {
+        var module = await _archiveModuleTask.Value;
+        return await module.InvokeAsync<string>("exportEntry", cancellationToken, id);
+    }
+
+    public async Task<OutgoingArchiveExport> ExportAllAsync(CancellationToken cancellationToken = default)
+    {
+        var module = await _archiveModuleTask.Value;
+        return await module.InvokeAsync<OutgoingArchiveExport>("exportAll", cancellationToken);
+    }
+
+    public async Task<OutgoingArchiveImport> ImportArchivesAsync(ElementReference fileInput, CancellationToken cancellationToken = default)
+    {
+        var module = await _archiveModuleTask.Value;
+        return await module.InvokeAsync<OutgoingArchiveImport>("importFromInput", cancellationToken, fileInput);
+    }
+
+    public async Task<IAsyncDisposable> WatchAsync(Func<OutgoingQueueChange, Task> onChanged, CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        var callbacks = DotNetObjectReference.Create(new WatchCallbacks(onChanged));
+        var handle = await module.InvokeAsync<IJSObjectReference>("watch", cancellationToken, callbacks);
+        return new WatchSubscription(handle, callbacks);
+    }
+
     public async ValueTask DisposeAsync()
     {
         if (_moduleTask.IsValueCreated)
@@ -98,6 +189,57 @@ public sealed class OutgoingUploadQueue(IJSRuntime jsRuntime) : IOutgoingUploadQ
             var module = await _moduleTask.Value;
             await module.DisposeAsync();
         }
+
+        if (_archiveModuleTask.IsValueCreated)
+        {
+            var module = await _archiveModuleTask.Value;
+            await module.DisposeAsync();
+        }
+    }
+
+    private static OutgoingEntryMetadata ToMetadata(QueueItem item)
+        => new(
+            item.Id,
+            item.Title,
+            item.Description,
+            item.Tags,
+            item.FileName,
+            item.CreatedAt,
+            item.SizeBytes ?? item.Data?.LongLength ?? 0,
+            Enum.TryParse<OutgoingEntryStatus>(item.Status, ignoreCase: true, out var status) ? status : OutgoingEntryStatus.Pending,
+            item.Attempts ?? 0,
+            item.LastError,
+            item.LastAttemptAt,
+            item.UploadedBytes ?? 0);
+
+    // outgoingQueue.js stores statuses as lower-case strings
+    private static string ToJsStatus(OutgoingEntryStatus status) => status.ToString().ToLowerInvariant();
+
+    private sealed class WatchCallbacks(Func<OutgoingQueueChange, Task> onChanged)
+    {
+        [JSInvokable]
+        public Task OnQueueChanged(string type, string id, string? error)
+            => onChanged(new OutgoingQueueChange(type, id, error));
+    }
+
+    private sealed class WatchSubscription(IJSObjectReference handle, DotNetObjectReference<WatchCallbacks> callbacks) : IAsyncDisposable
+    {
+        public async ValueTask DisposeAsync()
+        {
+            try
+            {
+                await handle.InvokeVoidAsync("dispose");
+                await handle.DisposeAsync();
+            }
+            catch (JSDisconnectedException)
+            {
+                // The page is already gone
+            }
+            finally
+            {
+                callbacks.Dispose();
+            }
+        }
     }
 
     private sealed record QueueItem(
@@ -108,5 +250,10 @@ public sealed class OutgoingUploadQueue(IJSRuntime jsRuntime) : IOutgoingUploadQ
         string FileName,
         DateTimeOffset CreatedAt,
         long? SizeBytes,
-        byte[]? Data);
+        byte[]? Data,
+        string? Status = null,
+        int? Attempts = null,
+        string? LastError = null,
+        DateTimeOffset? LastAttemptAt = null,
+        long? UploadedBytes = null);
 }
@@ -0,0 +1,108 @@
+using System;
+using System.Threading;
+using DiaryApp.Shared.Abstractions;
+using Microsoft.JSInterop;
+
+namespace DiaryApp.Client.Services;
+
+/// <summary>
+/// Uploads recordings straight from the browser through the chunked upload API, so the video never
+/// crosses JS interop. Sessions survive reloads and transient network failures are retried in JS.
+/// </summary>
+public sealed class ResumableUploadService(IJSRuntime jsRuntime) : IAsyncDisposable
+{
+    private readonly Lazy<Task<IJSObjectReference>> _moduleTask =
+        new(() => jsRuntime.InvokeAsync<IJSObjectReference>("import", "./js/chunkedUploader.js").AsTask());
+
+    public async Task<VideoEntryDto> UploadCurrentRecordingAsync(
+        string fileName,
+        string title,
+        string? description,
+        string? tags,
+        IProgress<UploadProgress>? progress = null,
+        CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        var key = await module.InvokeAsync<string>("getCurrentRecordingUploadKey", cancellationToken);
+        var metadata = new { fileName, title, description, tags };
+        return await InvokeUploadAsync(module, key, "uploadCurrentRecording", progress, cancellationToken, key, metadata);
+    }
+
+    /// <summary>Uploads an Outgoing queue entry and removes it from the queue once the server has it.</summary>
+    public async Task<VideoEntryDto> UploadQueuedEntryAsync(
+        Guid id,
+        IProgress<UploadProgress>? progress = null,
+        CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        var key = await module.InvokeAsync<string>("getQueuedEntryUploadKey", cancellationToken, id);
+        return await InvokeUploadAsync(module, key, "uploadQueuedEntry", progress, cancellationToken, id);
+    }
+
+    /// <summary>
+    /// Moves the current recording into the Outgoing queue after a failed upload, keeping its upload
+    /// session so the retry resumes. Returns a warning when storage is nearly full and throws a
+    /// <see cref="JSException"/> when the recording does not fit.
+    /// </summary>
+    public async Task<string?> QueueCurrentRecordingAsync(
+        Guid id,
+        string fileName,
+        string title,
+        string? description,
+        string? tags,
+        string? error,
+        CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        var metadata = new { fileName, title, description, tags };
+        return await module.InvokeAsync<string?>("queueCurrentRecording", cancellationToken, id, metadata, error);
+    }
+
+    public async Task CancelQueuedEntryUploadAsync(Guid id)
+    {
+        var module = await _moduleTask.Value;
+        var key = await module.InvokeAsync<string>("getQueuedEntryUploadKey", id);
+        await module.InvokeVoidAsync("cancelUpload", key);
+    }
+
+    private static async Task<VideoEntryDto> InvokeUploadAsync(
+        IJSObjectReference module,
+        string key,
+        string identifier,
+        IProgress<UploadProgress>? progress,
+        CancellationToken cancellationToken,
+        params object?[] args)
+    {
+        using var callbacks = DotNetObjectReference.Create(new UploadCallbacks(progress));
+        // Cancelling the .NET wait alone would leave the JS upload running, so abort it explicitly
+        await using var registration = cancellationToken.Register(() => _ = module.InvokeVoidAsync("cancelUpload", key).AsTask());
+        return await module.InvokeAsync<VideoEntryDto>(identifier, [.. args, callbacks]);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_moduleTask.IsValueCreated)
+        {
+            var module = await _moduleTask.Value;
+            await module.DisposeAsync();
+        }
+    }
+
+    private sealed class UploadCallbacks(IProgress<UploadProgress>? progress)
+    {
+        [JSInvokable]
+        public void OnUploadProgress(long uploadedBytes, long totalBytes)
+            => progress?.Report(new UploadProgress(uploadedBytes, totalBytes));
+
+        [JSInvokable]
+        public void OnUploadRetry(int attempt, int delayMs, string message)
+            => Console.WriteLine($"Upload attempt {attempt} failed ({message}); retrying in {delayMs} ms.");
+    }
+}
+
+public readonly record struct UploadProgress(long UploadedBytes, long TotalBytes)
+{
+    public double Percentage => TotalBytes == 0
+        ? 0
+        : Math.Min(100, (double)UploadedBytes / TotalBytes * 100);
+}
@@ -72,6 +72,12 @@ public class VideoEntryClient(HttpClient httpClient) : IVideoEntryClient
         response.EnsureSuccessStatusCode();
     }
 
+    public async Task UpdatePreviewSecondAsync(Guid id, double previewSecond, CancellationToken cancellationToken = default)
+    {
+        var response = await httpClient.PutAsJsonAsync($"api/entries/{id}/preview", new VideoEntryPreviewRequest(previewSecond), cancellationToken);
+        response.EnsureSuccessStatusCode();
+    }
+
     public async Task DeleteAsync(Guid id, CancellationToken cancellationToken = default)
     {
         var response = await httpClient.DeleteAsync($"api/entries/{id}", cancellationToken);
@@ -0,0 +1,123 @@
+// Level analysis behind the VU meter: RMS and peak in dBFS, a decaying peak-hold level, and
+// detection of sustained silence and clipping. Alerts are reported on transitions only, so a
+// caller can forward them without flooding the listener every frame.
+
+export const METER_SCALE_LINEAR = 'linear';
+export const METER_SCALE_DB = 'db';
+
+const SILENCE_THRESHOLD_DB = -55;
+const SILENCE_DURATION_MS = 5000;
+// Samples this close to full scale count as clipped; a few in one buffer is audible distortion
+const CLIP_LEVEL = 0.99;
+const CLIP_SAMPLES = 3;
+const CLIP_CLEAR_MS = 1500;
+const PEAK_HOLD_MS = 1500;
+const PEAK_DECAY_DB_PER_SECOND = 20;
+// Bottom of the dB meter scale
+const METER_FLOOR_DB = -60;
+const MIN_DB = -120;
+
+function toDb(value) {
+    return value > 0 ? Math.max(MIN_DB, 20 * Math.log10(value)) : MIN_DB;
+}
+
+export function normalizeMeterScale(value) {
+    return value === METER_SCALE_DB ? METER_SCALE_DB : METER_SCALE_LINEAR;
+}
+
+// Fraction of the meter width for a level. The linear scale matches the original meter, which
+// amplifies RMS four times so speech fills most of the bar.
+export function meterFraction(rmsDb, scale) {
+    if (scale === METER_SCALE_DB) {
+        return Math.min(1, Math.max(0, (rmsDb - METER_FLOOR_DB) / -METER_FLOOR_DB));
+    }
+    return Math.min(1, (10 ** (rmsDb / 20)) * 4);
+}
+
+export function createLevelAnalyser() {
+    let silentSince = null;
+    let silenceReported = false;
+    let lastClipAt = null;
+    let clippingReported = false;
+    // The held level follows the RMS shown by the bar, so the marker lines up with it on either scale
+    let heldDb = MIN_DB;
+    let heldAt = 0;
+
+    return {
+        // samples: Float32Array of time-domain data in [-1, 1]; now: a millisecond timestamp
+        measure(samples, now) {
+            let sum = 0;
+            let peak = 0;
+            let clipped = 0;
+            for (const sample of samples) {
+                const magnitude = Math.abs(sample);
+                sum += sample * sample;
+                if (magnitude > peak) {
+                    peak = magnitude;
+                }
+                if (magnitude >= CLIP_LEVEL) {
+                    clipped += 1;
+                }
+            }
+
+            const rmsDb = toDb(Math.sqrt(sum / (samples.length || 1)));
+            const peakDb = toDb(peak);
+            const alerts = [];
+
+            if (rmsDb >= heldDb) {
+                heldDb = rmsDb;
+                heldAt = now;
+            } else if (now - heldAt > PEAK_HOLD_MS) {
+                const decayed = heldDb - (PEAK_DECAY_DB_PER_SECOND * (now - heldAt - PEAK_HOLD_MS)) / 1000;
+                heldDb = Math.max(rmsDb, decayed);
+                heldAt = now - PEAK_HOLD_MS;
+            }
+
+            if (rmsDb < SILENCE_THRESHOLD_DB) {
+                silentSince ??= now;
+                if (!silenceReported && now - silentSince >= SILENCE_DURATION_MS) {
+                    silenceReported = true;
+                    alerts.push({ type: 'silence', active: true, levelDb: rmsDb });
+                }
+            } else {
+                silentSince = null;
+                if (silenceReported) {
+                    silenceReported = false;
+                    alerts.push({ type: 'silence', active: false, levelDb: rmsDb });
+                }
+            }
+
+            if (clipped >= CLIP_SAMPLES) {
+                lastClipAt = now;
+                if (!clippingReported) {
+                    clippingReported = true;
+                    alerts.push({ type: 'clipping', active: true, levelDb: peakDb });
+                }
+            } else if (clippingReported && now - lastClipAt > CLIP_CLEAR_MS) {
+                clippingReported = false;
+                alerts.push({ type: 'clipping', active: false, levelDb: peakDb });
+            }
+
+            return { rmsDb, peakDb, heldDb, alerts };
+        },
+
+        // Restart the timers, e.g. after a pause, so the gap does not count as silence. Returns
+        // alerts that clear conditions reported before the reset.
+        reset() {
+            const alerts = [];
+            if (silenceReported) {
+                alerts.push({ type: 'silence', active: false, levelDb: MIN_DB });
+            }
+            if (clippingReported) {
+                alerts.push({ type: 'clipping', active: false, levelDb: MIN_DB });
+            }
+            silentSince = null;
+            silenceReported = false;
+            lastClipAt = null;
+            clippingReported = false;
+            heldDb = MIN_DB;
+            heldAt = 0;
+            return alerts;
+        }
+    };
+}
@@ -0,0 +1,231 @@
+// Voice processing for recordings: browser-side constraints (noise suppression, echo cancellation,
+// auto gain) plus a Web Audio chain of high-pass filter, noise gate, compressor and limiter that
+// sits between the captured sources and the recording destination.
+
+const DEFAULT_AUDIO_PROCESSING = Object.freeze({
+    noiseSuppression: true,
+    echoCancellation: true,
+    autoGainControl: true,
+    // Removes rumble and handling noise below the voice range; 0 disables the filter
+    highPassHz: 80,
+    compressor: true,
+    limiter: true,
+    noiseGate: false,
+    noiseGateThresholdDb: -50,
+    // Per-source levels when screen audio and the microphone are mixed
+    microphoneGain: 1,
+    screenAudioGain: 1
+});
+
+const MAX_HIGH_PASS_HZ = 300;
+const MIN_GATE_THRESHOLD_DB = -90;
+const MAX_GATE_THRESHOLD_DB = -10;
+const MAX_SOURCE_GAIN = 4;
+
+// The gate attenuates rather than mutes, so breaths and soft consonants do not sound chopped
+const GATE_CLOSED_GAIN = 0.05;
+const GATE_HOLD_MS = 200;
+const GATE_POLL_MS = 20;
+const GATE_ATTACK_SECONDS = 0.005;
+const GATE_RELEASE_SECONDS = 0.08;
+
+function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        return fallback;
+    }
+    return Math.min(max, Math.max(min, number));
+}
+
+function normalizeFlag(value, fallback) {
+    return value === undefined || value === null ? fallback : !!value;
+}
+
+export function normalizeAudioProcessing(options, current = DEFAULT_AUDIO_PROCESSING) {
+    if (!options) {
+        return { ...current };
+    }
+
+    return {
+        noiseSuppression: normalizeFlag(options.noiseSuppression, current.noiseSuppression),
+        echoCancellation: normalizeFlag(options.echoCancellation, current.echoCancellation),
+        autoGainControl: normalizeFlag(options.autoGainControl, current.autoGainControl),
+        highPassHz: clamp(options.highPassHz ?? current.highPassHz, 0, MAX_HIGH_PASS_HZ, current.highPassHz),
+        compressor: normalizeFlag(options.compressor, current.compressor),
+        limiter: normalizeFlag(options.limiter, current.limiter),
+        noiseGate: normalizeFlag(options.noiseGate, current.noiseGate),
+        noiseGateThresholdDb: clamp(options.noiseGateThresholdDb ?? current.noiseGateThresholdDb,
+            MIN_GATE_THRESHOLD_DB, MAX_GATE_THRESHOLD_DB, current.noiseGateThresholdDb),
+        microphoneGain: clamp(options.microphoneGain ?? current.microphoneGain, 0, MAX_SOURCE_GAIN, current.microphoneGain),
+        screenAudioGain: clamp(options.screenAudioGain ?? current.screenAudioGain, 0, MAX_SOURCE_GAIN, current.screenAudioGain)
+    };
+}
+
+export function defaultAudioProcessing() {
+    return { ...DEFAULT_AUDIO_PROCESSING };
+}
+
+// getUserMedia audio constraints; browsers that do not know a constraint ignore it
+export function buildProcessingConstraints(settings) {
+    return {
+        noiseSuppression: settings.noiseSuppression,
+        echoCancellation: settings.echoCancellation,
+        autoGainControl: settings.autoGainControl
+    };
+}
+
+// Best effort: some browsers only honour these when the track is opened
+export async function applyProcessingConstraints(tracks, settings) {
+    const constraints = buildProcessingConstraints(settings);
+    await Promise.all(tracks.map((track) => track.applyConstraints?.({ ...track.getConstraints?.(), ...constraints })
+        .catch((error) => console.warn('Unable to update audio processing constraints', error))));
+}
+
+// ============ Processing chain ============
+
+function createNoiseGate(context) {
+    const gain = context.createGain();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    const samples = new Float32Array(analyser.fftSize);
+    let thresholdDb = DEFAULT_AUDIO_PROCESSING.noiseGateThresholdDb;
+    let lastOpenAt = 0;
+    let open = true;
+    let timer = null;
+
+    const setOpen = (value) => {
+        if (open === value) {
+            return;
+        }
+        open = value;
+        gain.gain.setTargetAtTime(value ? 1 : GATE_CLOSED_GAIN, context.currentTime, value ? GATE_ATTACK_SECONDS : GATE_RELEASE_SECONDS);
+    };
+
+    // Polled with a timer rather than requestAnimationFrame so it keeps working in background tabs
+    const poll = () => {
+        analyser.getFloatTimeDomainData(samples);
+        let sum = 0;
+        for (const sample of samples) {
+            sum += sample * sample;
+        }
+        const levelDb = 10 * Math.log10(sum / samples.length || 1e-12);
+        const now = performance.now();
+        if (levelDb >= thresholdDb) {
+            lastOpenAt = now;
+            setOpen(true);
+        } else if (now - lastOpenAt > GATE_HOLD_MS) {
+            setOpen(false);
+        }
+    };
+
+    return {
+        input: gain,
+        output: gain,
+        analyser,
+        configure(enabled, threshold) {
+            thresholdDb = threshold;
+            if (enabled && timer === null) {
+                timer = setInterval(poll, GATE_POLL_MS);
+            } else if (!enabled && timer !== null) {
+                clearInterval(timer);
+                timer = null;
+                setOpen(true);
+            }
+        },
+        dispose() {
+            if (timer !== null) {
+                clearInterval(timer);
+                timer = null;
+            }
+        }
+    };
+}
+
+// Builds input -> [high-pass] -> [gate] -> [compressor] -> [limiter] -> output inside `context`.
+// Disabled stages are left out of the connections, so update() can toggle them while recording.
+export function createProcessingChain(context, settings = DEFAULT_AUDIO_PROCESSING) {
+    const input = context.createGain();
+    const output = context.createGain();
+
+    const highPass = context.createBiquadFilter();
+    highPass.type = 'highpass';
+    highPass.Q.value = Math.SQRT1_2;
+
+    const gate = createNoiseGate(context);
+
+    // Evens out the distance to the microphone
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -24;
+    compressor.knee.value = 12;
+    compressor.ratio.value = 4;
+    compressor.attack.value = 0.003;
+    compressor.release.value = 0.25;
+
+    // Catches the peaks the compressor lets through so loud moments do not clip
+    const limiter = context.createDynamicsCompressor();
+    limiter.threshold.value = -3;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.001;
+    limiter.release.value = 0.1;
+
+    // Output stays out of this list: its link to the recording destination is made by the caller
+    // once, so rewiring must only touch the stages in front of it
+    const stages = [input, highPass, gate.input, compressor, limiter, gate.analyser];
+    let current = normalizeAudioProcessing(settings);
+
+    const connect = () => {
+        stages.forEach((node) => {
+            try {
+                node.disconnect();
+            } catch (error) {
+                // Not connected yet
+            }
+        });
+
+        const chain = [input];
+        if (current.highPassHz > 0) {
+            highPass.frequency.value = current.highPassHz;
+            chain.push(highPass);
+        }
+        if (current.noiseGate) {
+            // The gate listens to the signal it is about to gate
+            chain[chain.length - 1].connect(gate.analyser);
+            chain.push(gate.input);
+        }
+        if (current.compressor) {
+            chain.push(compressor);
+        }
+        if (current.limiter) {
+            chain.push(limiter);
+        }
+        chain.push(output);
+
+        for (let index = 1; index < chain.length; index += 1) {
+            chain[index - 1].connect(chain[index]);
+        }
+        gate.configure(current.noiseGate, current.noiseGateThresholdDb);
+    };
+
+    connect();
+
+    return {
+        input,
+        output,
+        update(options) {
+            current = normalizeAudioProcessing(options, current);
+            connect();
+            return { ...current };
+        },
+        dispose() {
+            gate.dispose();
+            [...stages, output].forEach((node) => {
+                try {
+                    node.disconnect();
+                } catch (error) {
+                    console.warn('Failed to disconnect audio processing node', error);
+                }
+            });
+        }
+    };
+}
@@ -0,0 +1,147 @@
+const DEFAULT_EFFECTS = Object.freeze({
+    brightness: 1,
+    contrast: 1,
+    saturation: 1,
+    mirror: false,
+    timestamp: false,
+    timestampLocale: null,
+    caption: '',
+    location: ''
+});
+
+const MIN_ADJUSTMENT = 0;
+const MAX_ADJUSTMENT = 3;
+
+let timestampCache = { second: -1, locale: null, text: '' };
+let filterSupport = null;
+
+function clampAdjustment(value, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        return fallback;
+    }
+    return Math.min(MAX_ADJUSTMENT, Math.max(MIN_ADJUSTMENT, number));
+}
+
+function normalizeText(value, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+export function normalizeEffects(options, current = DEFAULT_EFFECTS) {
+    if (!options) {
+        return { ...current };
+    }
+
+    return {
+        brightness: clampAdjustment(options.brightness ?? current.brightness, current.brightness),
+        contrast: clampAdjustment(options.contrast ?? current.contrast, current.contrast),
+        saturation: clampAdjustment(options.saturation ?? current.saturation, current.saturation),
+        mirror: options.mirror === undefined ? current.mirror : !!options.mirror,
+        timestamp: options.timestamp === undefined ? current.timestamp : !!options.timestamp,
+        timestampLocale: options.timestampLocale === undefined ? current.timestampLocale : options.timestampLocale || null,
+        caption: normalizeText(options.caption, current.caption),
+        location: normalizeText(options.location, current.location)
+    };
+}
+
+export function defaultEffects() {
+    return { ...DEFAULT_EFFECTS };
+}
+
+function supportsCanvasFilter(context) {
+    if (filterSupport === null) {
+        // Safari before 18 exposes no filter property and silently ignores the adjustments
+        filterSupport = typeof context.filter === 'string';
+        if (!filterSupport) {
+            console.warn('Canvas filters are not supported; brightness/contrast/saturation will be ignored');
+        }
+    }
+    return filterSupport;
+}
+
+function buildFilter(effects) {
+    const parts = [];
+    if (effects.brightness !== 1) {
+        parts.push(`brightness(${effects.brightness})`);
+    }
+    if (effects.contrast !== 1) {
+        parts.push(`contrast(${effects.contrast})`);
+    }
+    if (effects.saturation !== 1) {
+        parts.push(`saturate(${effects.saturation})`);
+    }
+    return parts.length > 0 ? parts.join(' ') : 'none';
+}
+
+function formatTimestamp(locale) {
+    const second = Math.floor(Date.now() / 1000);
+    if (timestampCache.second !== second || timestampCache.locale !== locale) {
+        timestampCache = {
+            second,
+            locale,
+            text: new Date(second * 1000).toLocaleString(locale ?? undefined)
+        };
+    }
+    return timestampCache.text;
+}
+
+function drawLabel(context, text, x, y, align, fontSize) {
+    const padding = Math.round(fontSize * 0.35);
+    context.font = `600 ${fontSize}px system-ui, sans-serif`;
+    context.textAlign = align;
+    context.textBaseline = 'middle';
+
+    const textWidth = context.measureText(text).width;
+    const boxWidth = textWidth + padding * 2;
+    const boxHeight = fontSize + padding * 2;
+    const boxX = align === 'right' ? x - boxWidth : x;
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    context.fillRect(boxX, y - boxHeight / 2, boxWidth, boxHeight);
+    context.fillStyle = '#ffffff';
+    context.fillText(text, align === 'right' ? x - padding : x + padding, y);
+}
+
+function drawOverlays(context, width, height, effects) {
+    if (!effects.timestamp && !effects.caption && !effects.location) {
+        return;
+    }
+
+    const fontSize = Math.max(12, Math.round(height / 28));
+    const margin = Math.round(fontSize * 0.8);
+    const lineOffset = margin + fontSize / 2 + fontSize * 0.35;
+
+    context.save();
+    if (effects.location) {
+        drawLabel(context, effects.location, margin, lineOffset, 'left', fontSize);
+    }
+    if (effects.caption) {
+        drawLabel(context, effects.caption, margin, height - lineOffset, 'left', fontSize);
+    }
+    if (effects.timestamp) {
+        drawLabel(context, formatTimestamp(effects.timestampLocale), width - margin, height - lineOffset, 'right', fontSize);
+    }
+    context.restore();
+}
+
+// drawExtras runs between the video frame and the text overlays so layers such as a
+// picture-in-picture bubble never cover the timestamp or caption.
+export function drawFrame(context, source, width, height, effects = DEFAULT_EFFECTS, drawExtras = null) {
+    context.save();
+    const filter = buildFilter(effects);
+    if (filter !== 'none' && supportsCanvasFilter(context)) {
+        context.filter = filter;
+    }
+    if (effects.mirror) {
+        context.translate(width, 0);
+        context.scale(-1, 1);
+    }
+    context.drawImage(source, 0, 0, width, height);
+    context.restore();
+
+    drawExtras?.(context);
+    drawOverlays(context, width, height, effects);
+}
@@ -0,0 +1,400 @@
+import { getRecordingSnapshot } from './videoRecorder.js';
+import {
+    enqueue as enqueueQueuedEntry,
+    getBlob as getQueuedEntryBlob,
+    remove as removeQueuedEntry,
+    updateStatus as updateQueuedEntryStatus
+} from './outgoingQueue.js';
+import { outgoingEntryLockName, tryAcquireLock } from './tabCoordinator.js';
+import { deferUpdates } from './serviceWorkerUpdates.js';
+
+// Matches UPLOAD_CHUNK_SIZE_BYTES in service-worker.published.js so tab and background uploads behave the same
+const CHUNK_SIZE_BYTES = 5 * 1024 * 1024;
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+const SESSIONS_STORAGE_KEY = 'DiaryApp.PendingUploads';
+
+const activeUploads = new Map();
+
+class UploadHttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'UploadHttpError';
+        this.status = status;
+    }
+}
+
+// ============ Session persistence (survives reloads) ============
+
+function readSessions() {
+    try {
+        const value = localStorage.getItem(SESSIONS_STORAGE_KEY);
+        return value ? JSON.parse(value) : {};
+    } catch (error) {
+        console.warn('Failed to read pending uploads:', error);
+        return {};
+    }
+}
+
+function writeSessions(sessions) {
+    try {
+        localStorage.setItem(SESSIONS_STORAGE_KEY, JSON.stringify(sessions));
+    } catch (error) {
+        console.warn('Failed to save pending uploads:', error);
+    }
+}
+
+function loadSession(key) {
+    return readSessions()[key] ?? null;
+}
+
+function saveSession(key, session) {
+    const sessions = readSessions();
+    sessions[key] = session;
+    writeSessions(sessions);
+}
+
+function clearSession(key) {
+    const sessions = readSessions();
+    if (key in sessions) {
+        delete sessions[key];
+        writeSessions(sessions);
+    }
+}
+
+// ============ HTTP ============
+
+function apiUrl(path) {
+    return new URL(`api/entries/uploads${path}`, document.baseURI).toString();
+}
+
+async function ensureSuccess(response) {
+    if (response.ok) {
+        return response;
+    }
+
+    const text = await response.text().catch(() => '');
+    throw new UploadHttpError(response.status, text || `Upload request failed with status ${response.status}`);
+}
+
+async function startUpload(fileName, totalBytes, signal) {
+    const response = await fetch(apiUrl('/start'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileName, totalBytes }),
+        signal
+    });
+    await ensureSuccess(response);
+    const result = await response.json();
+    return result.uploadId;
+}
+
+async function fetchUploadedOffset(uploadId, signal) {
+    const response = await fetch(apiUrl(`/${uploadId}`), { signal });
+    if (response.status === 404) {
+        return null;
+    }
+    await ensureSuccess(response);
+    const result = await response.json();
+    return result.uploaded ?? 0;
+}
+
+async function sendChunk(uploadId, chunk, offset, totalBytes, signal) {
+    const response = await fetch(apiUrl(`/${uploadId}/chunk`), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Upload-Offset': String(offset),
+            'X-Upload-Total': String(totalBytes)
+        },
+        body: chunk,
+        signal
+    });
+    await ensureSuccess(response);
+    const result = await response.json();
+    return result.uploaded ?? offset + chunk.size;
+}
+
+async function completeUpload(uploadId, metadata, signal) {
+    const response = await fetch(apiUrl(`/${uploadId}/complete`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            title: metadata.title ?? '',
+            description: metadata.description ?? null,
+            tags: metadata.tags ?? null
+        }),
+        signal
+    });
+    await ensureSuccess(response);
+    return response.json();
+}
+
+async function deleteUpload(uploadId) {
+    try {
+        await fetch(apiUrl(`/${uploadId}`), { method: 'DELETE' });
+    } catch (error) {
+        console.warn('Failed to cancel upload on the server', error);
+    }
+}
+
+// ============ Retry ============
+
+function isRetryable(error) {
+    if (error?.name === 'AbortError') {
+        return false;
+    }
+    if (error instanceof UploadHttpError) {
+        // 409: a previous complete request for the same upload is still creating the entry
+        return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+    }
+    // fetch rejects with a TypeError when the network is unreachable
+    return true;
+}
+
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Upload cancelled', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function withRetry(operation, signal, onRetry) {
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) {
+                throw error;
+            }
+
+            const backoff = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+            const wait = backoff / 2 + Math.random() * (backoff / 2);
+            onRetry?.(attempt, wait, error);
+            await delay(wait, signal);
+        }
+    }
+}
+
+// ============ Upload ============
+
+async function ensureSession(key, blob, metadata, signal) {
+    const existing = loadSession(key);
+    if (existing && existing.totalBytes === blob.size) {
+        const offset = await fetchUploadedOffset(existing.uploadId, signal).catch((error) => {
+            if (error?.name === 'AbortError') {
+                throw error;
+            }
+            console.warn('Unable to resume upload, starting over', error);
+            return null;
+        });
+        if (offset !== null) {
+            return { ...existing, offset };
+        }
+    }
+
+    const uploadId = await startUpload(metadata.fileName || 'entry.webm', blob.size, signal);
+    const session = { uploadId, totalBytes: blob.size, offset: 0, startedAt: new Date().toISOString() };
+    saveSession(key, session);
+    return session;
+}
+
+export async function uploadBlob(key, blob, metadata, callbacks = {}) {
+    if (!blob || blob.size === 0) {
+        throw new Error('Recording data is empty.');
+    }
+    if (activeUploads.has(key)) {
+        throw new Error('This recording is already being uploaded.');
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    activeUploads.set(key, controller);
+    const releaseUpdateDeferral = deferUpdates();
+
+    try {
+        let session = await withRetry(() => ensureSession(key, blob, metadata, signal), signal, callbacks.onRetry);
+        let offset = session.offset;
+        let restarted = false;
+        callbacks.onProgress?.(offset, blob.size);
+
+        while (offset < blob.size) {
+            const chunk = blob.slice(offset, Math.min(blob.size, offset + CHUNK_SIZE_BYTES));
+            try {
+                offset = await withRetry(
+                    () => sendChunk(session.uploadId, chunk, offset, blob.size, signal),
+                    signal,
+                    callbacks.onRetry);
+            } catch (error) {
+                // The server forgets sessions on restart; start a fresh one instead of failing
+                if (error instanceof UploadHttpError && error.status === 404 && !restarted) {
+                    restarted = true;
+                    clearSession(key);
+                    session = await withRetry(() => ensureSession(key, blob, metadata, signal), signal, callbacks.onRetry);
+                    offset = session.offset;
+                    continue;
+                }
+                throw error;
+            }
+
+            saveSession(key, { ...session, offset });
+            callbacks.onProgress?.(offset, blob.size);
+        }
+
+        const entry = await withRetry(() => completeUpload(session.uploadId, metadata, signal), signal, callbacks.onRetry);
+        clearSession(key);
+        return entry;
+    } finally {
+        activeUploads.delete(key);
+        releaseUpdateDeferral();
+    }
+}
+
+function createDotNetCallbacks(dotNetRef) {
+    if (!dotNetRef) {
+        return {};
+    }
+
+    return {
+        onProgress: (uploaded, total) => {
+            dotNetRef.invokeMethodAsync('OnUploadProgress', uploaded, total)
+                .catch((error) => console.warn('Failed to report upload progress', error));
+        },
+        onRetry: (attempt, waitMs, error) => {
+            dotNetRef.invokeMethodAsync('OnUploadRetry', attempt, Math.round(waitMs), error?.message ?? '')
+                .catch((callbackError) => console.warn('Failed to report upload retry', callbackError));
+        }
+    };
+}
+
+export function getCurrentRecordingUploadKey() {
+    const snapshot = getRecordingSnapshot();
+    return `recording:${snapshot?.id ?? 'current'}`;
+}
+
+export async function uploadCurrentRecording(key, metadata, dotNetRef) {
+    const snapshot = getRecordingSnapshot();
+    if (!snapshot) {
+        throw new Error('Recording is empty or unavailable.');
+    }
+
+    return uploadBlob(key, snapshot.blob, metadata, createDotNetCallbacks(dotNetRef));
+}
+
+export function getQueuedEntryUploadKey(id) {
+    return `queue:${id}`;
+}
+
+// Moves the current recording into the Outgoing queue after a failed upload. The Blob goes straight
+// into IndexedDB and the server session travels with the entry, so the retry resumes where this
+// upload stopped. Returns the queue's storage warning, if any.
+export async function queueCurrentRecording(id, metadata, error) {
+    const snapshot = getRecordingSnapshot();
+    if (!snapshot) {
+        throw new Error('Recording is empty or unavailable.');
+    }
+
+    const recordingKey = getCurrentRecordingUploadKey();
+    const session = loadSession(recordingKey);
+    const now = new Date().toISOString();
+    const warning = await enqueueQueuedEntry({
+        id,
+        title: metadata.title,
+        description: metadata.description,
+        tags: metadata.tags,
+        fileName: metadata.fileName,
+        createdAt: now,
+        sizeBytes: snapshot.blob.size,
+        status: 'failed',
+        attempts: 1,
+        lastError: error || null,
+        lastAttemptAt: now,
+        uploadedBytes: session?.offset ?? 0,
+        uploadSession: session,
+        data: snapshot.blob
+    });
+    clearSession(recordingKey);
+    return warning;
+}
+
+// Uploads a queued entry and removes it from the queue once the server has it. The entry stays
+// locked for the whole upload so other tabs and the service worker cannot send it twice.
+export async function uploadQueuedEntry(id, dotNetRef) {
+    const releaseLock = await tryAcquireLock(outgoingEntryLockName(id));
+    if (!releaseLock) {
+        throw new Error('This entry is already being uploaded in another tab or in the background.');
+    }
+
+    try {
+        return await uploadLockedQueuedEntry(id, dotNetRef);
+    } finally {
+        releaseLock();
+    }
+}
+
+async function uploadLockedQueuedEntry(id, dotNetRef) {
+    const entry = await getQueuedEntryBlob(id);
+    if (!entry) {
+        throw new Error('Recording not found in the browser cache.');
+    }
+
+    const { metadata, blob } = entry;
+    const key = getQueuedEntryUploadKey(id);
+    // Entries queued after a failed upload (or started by the service worker) carry their session
+    if (metadata.uploadSession && !loadSession(key)) {
+        saveSession(key, metadata.uploadSession);
+    }
+    const callbacks = createDotNetCallbacks(dotNetRef);
+    const trackStatus = (status, details) => updateQueuedEntryStatus(id, status, details)
+        .catch((error) => console.warn('Failed to update queued entry status', error));
+
+    await trackStatus('uploading');
+    let uploaded;
+    try {
+        uploaded = await uploadBlob(key, blob, metadata, {
+            ...callbacks,
+            onProgress: (uploadedBytes, total) => {
+                callbacks.onProgress?.(uploadedBytes, total);
+                // Keep the session on the entry too, so the service worker can resume it
+                trackStatus('uploading', { uploadedBytes, uploadSession: loadSession(key) });
+            }
+        });
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            await trackStatus('pending', { uploadedBytes: 0, uploadSession: null });
+        } else {
+            await trackStatus('failed', { error: error?.message ?? String(error) });
+        }
+        throw error;
+    }
+
+    await removeQueuedEntry(id);
+    return uploaded;
+}
+
+export async function cancelUpload(key) {
+    activeUploads.get(key)?.abort();
+    const session = loadSession(key);
+    clearSession(key);
+    if (session) {
+        await deleteUpload(session.uploadId);
+    }
+}
+
+export function listResumableUploads() {
+    return Object.entries(readSessions()).map(([key, session]) => ({
+        key,
+        uploadId: session.uploadId,
+        totalBytes: session.totalBytes,
+        uploadedBytes: session.offset,
+        startedAt: session.startedAt
+    }));
+}
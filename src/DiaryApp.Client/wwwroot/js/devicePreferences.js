@@ -1,11 +1,18 @@
+import { defaultAudioProcessing, normalizeAudioProcessing } from './audioProcessing.js';
+import { defaultEffects, normalizeEffects } from './canvasEffects.js';
+import { normalizeLayout } from './pictureInPicture.js';
+import { resolveQualityProfile } from './qualityProfiles.js';
+
 const STORAGE_KEY = 'DiaryApp.DevicePreferences';
+const RECORDING_STORAGE_KEY = 'DiaryApp.RecordingPreferences';
 const LEGACY_COOKIE_NAME = 'DiaryApp.DevicePreferences';
+const FACING_MODES = new Set(['user', 'environment']);
 
 // ============ localStorage (primary) ============
 
-function getFromLocalStorage() {
+function getFromLocalStorage(key = STORAGE_KEY) {
     try {
-        const value = localStorage.getItem(STORAGE_KEY);
+        const value = localStorage.getItem(key);
         if (!value) {
             return null;
         }
@@ -16,9 +23,9 @@ function getFromLocalStorage() {
     }
 }
 
-function saveToLocalStorage(preferences) {
+function saveToLocalStorage(preferences, key = STORAGE_KEY) {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+        localStorage.setItem(key, JSON.stringify(preferences));
         return true;
     } catch (error) {
         console.warn('Failed to save to localStorage:', error);
@@ -102,23 +109,25 @@ export function getDevicePreferences() {
     }
     
     if (!preferences) {
-        return { cameraDeviceId: null, microphoneDeviceId: null, cameraLabel: null, microphoneLabel: null };
+        return { cameraDeviceId: null, microphoneDeviceId: null, cameraLabel: null, microphoneLabel: null, cameraFacingMode: null };
     }
     
     return {
         cameraDeviceId: preferences.cameraDeviceId || null,
         microphoneDeviceId: preferences.microphoneDeviceId || null,
         cameraLabel: preferences.cameraLabel || null,
-        microphoneLabel: preferences.microphoneLabel || null
+        microphoneLabel: preferences.microphoneLabel || null,
+        cameraFacingMode: normalizeFacingMode(preferences.cameraFacingMode)
     };
 }
 
-export function setDevicePreferences(cameraDeviceId, microphoneDeviceId, cameraLabel, microphoneLabel) {
+export function setDevicePreferences(cameraDeviceId, microphoneDeviceId, cameraLabel, microphoneLabel, cameraFacingMode = null) {
     const preferences = {
         cameraDeviceId: cameraDeviceId || null,
         microphoneDeviceId: microphoneDeviceId || null,
         cameraLabel: cameraLabel || null,
-        microphoneLabel: microphoneLabel || null
+        microphoneLabel: microphoneLabel || null,
+        cameraFacingMode: normalizeFacingMode(cameraFacingMode)
     };
     
     // Try localStorage first (works on Safari)
@@ -136,3 +145,107 @@ export function clearDevicePreferences() {
     deleteCookie(LEGACY_COOKIE_NAME);
     return localCleared;
 }
+
+// ============ Recording preferences ============
+
+// The webcam bubble only applies to screen captures; a dragged position is never stored
+function normalizePictureInPicture(options) {
+    const { shape, corner, size } = normalizeLayout(options);
+    return { enabled: !!options?.enabled, shape, corner, size };
+}
+
+// What the recorder applies on top of the devices: canvas effects and overlays, the webcam
+// bubble for screen captures, the quality profile and audio processing. Missing or invalid values fall back to the
+// recorder defaults, so older stored objects stay usable.
+function normalizeRecordingPreferences(preferences) {
+    return {
+        effects: normalizeEffects(preferences?.effects, defaultEffects()),
+        pictureInPicture: normalizePictureInPicture(preferences?.pictureInPicture),
+        qualityProfile: resolveQualityProfile(preferences?.qualityProfile).name,
+        audioProcessing: normalizeAudioProcessing(preferences?.audioProcessing, defaultAudioProcessing())
+    };
+}
+
+export function getRecordingPreferences() {
+    return normalizeRecordingPreferences(getFromLocalStorage(RECORDING_STORAGE_KEY));
+}
+
+export function setRecordingPreferences(preferences) {
+    return saveToLocalStorage(normalizeRecordingPreferences(preferences), RECORDING_STORAGE_KEY);
+}
+
+// ============ Device resolution ============
+
+// 'user' is the front (selfie) camera, 'environment' the back one
+export function normalizeFacingMode(value) {
+    return FACING_MODES.has(value) ? value : null;
+}
+
+function normalizeLabel(label) {
+    return (label ?? '').trim().toLowerCase();
+}
+
+function findDeviceId(devices, kind, deviceId, label) {
+    const candidates = devices.filter((device) => device.kind === kind);
+    if (candidates.some((device) => device.deviceId === deviceId)) {
+        return deviceId;
+    }
+
+    // Some browsers decorate labels (e.g. a USB vendor:product suffix), so allow containment as well
+    const wanted = normalizeLabel(label);
+    if (!wanted) {
+        return null;
+    }
+    const match = candidates.find((device) => normalizeLabel(device.label) === wanted)
+        ?? candidates.find((device) => {
+            const candidate = normalizeLabel(device.label);
+            return candidate && (candidate.includes(wanted) || wanted.includes(candidate));
+        });
+    return match?.deviceId ?? null;
+}
+
+// Device IDs change when site data is cleared, and some mobile browsers rotate them regularly, so
+// a stored ID that no longer exists is looked up again by its label. When neither matches, the ID
+// is dropped so capture falls back to the facing mode or the system default instead of failing.
+// Corrected IDs are written back to the stored preferences.
+export async function resolveDeviceSelection(selection) {
+    const resolved = { ...selection };
+    if (!navigator.mediaDevices?.enumerateDevices || (!selection?.cameraDeviceId && !selection?.microphoneDeviceId)) {
+        return resolved;
+    }
+
+    let devices;
+    try {
+        devices = await navigator.mediaDevices.enumerateDevices();
+    } catch (error) {
+        console.warn('Unable to enumerate media devices:', error);
+        return resolved;
+    }
+    // Without labels (no permission yet) the IDs are unverifiable, so leave them alone
+    if (!devices.some((device) => device.label)) {
+        return resolved;
+    }
+
+    if (selection.cameraDeviceId) {
+        resolved.cameraDeviceId = findDeviceId(devices, 'videoinput', selection.cameraDeviceId, selection.cameraLabel);
+    }
+    if (selection.microphoneDeviceId) {
+        resolved.microphoneDeviceId = findDeviceId(devices, 'audioinput', selection.microphoneDeviceId, selection.microphoneLabel);
+    }
+
+    const stored = getDevicePreferences();
+    const cameraMoved = resolved.cameraDeviceId && resolved.cameraDeviceId !== selection.cameraDeviceId
+        && stored.cameraDeviceId === selection.cameraDeviceId;
+    const microphoneMoved = resolved.microphoneDeviceId && resolved.microphoneDeviceId !== selection.microphoneDeviceId
+        && stored.microphoneDeviceId === selection.microphoneDeviceId;
+    if (cameraMoved || microphoneMoved) {
+        setDevicePreferences(
+            cameraMoved ? resolved.cameraDeviceId : stored.cameraDeviceId,
+            microphoneMoved ? resolved.microphoneDeviceId : stored.microphoneDeviceId,
+            stored.cameraLabel,
+            stored.microphoneLabel,
+            stored.cameraFacingMode);
+    }
+
+    return resolved;
+}
@@ -0,0 +1,146 @@
+// One database per account (diaryapp-previews-<owner>); the owner is the same hashed identity that
+// partitions the service worker caches, set through js/offlineCache.js
+const dbNamePrefix = 'diaryapp-previews';
+const ownerStorageKey = 'DiaryApp.PreviewOwner';
+const storeName = 'filmstrips';
+const dbVersion = 1;
+const createdAtIndexName = 'createdAt';
+// Sprite sheets are small (tens of KB) but there is one per entry; keep the newest ones
+const maxFilmstrips = 200;
+
+function currentOwner() {
+    try {
+        return localStorage.getItem(ownerStorageKey) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function dbNameFor(owner) {
+    return `${dbNamePrefix}-${owner}`;
+}
+
+function deleteDb(name) {
+    return new Promise((resolve) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve();
+        request.onerror = () => {
+            console.warn(`Failed to delete preview database ${name}`, request.error);
+            resolve();
+        };
+        request.onblocked = () => console.warn(`Deleting preview database ${name} is waiting for other tabs`);
+    });
+}
+
+function openDb() {
+    const owner = currentOwner();
+    if (!owner) {
+        return Promise.reject(new Error('Previews are only kept for a signed-in user.'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbNameFor(owner), dbVersion);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(storeName)) {
+                const store = db.createObjectStore(storeName, { keyPath: 'entryId' });
+                store.createIndex(createdAtIndexName, 'createdAt', { unique: false });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function runTransaction(db, mode, fn) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export function isSupported() {
+    return typeof indexedDB !== 'undefined' && currentOwner() !== null;
+}
+
+// Switches previews to `owner` (null when signed out) and deletes every other account's database,
+// including the unpartitioned one older versions used
+export async function setOwner(owner) {
+    if (typeof indexedDB === 'undefined') {
+        return;
+    }
+
+    const previous = currentOwner();
+    try {
+        if (owner) {
+            localStorage.setItem(ownerStorageKey, owner);
+        } else {
+            localStorage.removeItem(ownerStorageKey);
+        }
+    } catch (error) {
+        console.warn('Failed to save the preview owner', error);
+    }
+
+    const names = new Set([dbNamePrefix]);
+    if (previous) {
+        names.add(dbNameFor(previous));
+    }
+    if (typeof indexedDB.databases === 'function') {
+        const databases = await indexedDB.databases().catch(() => []);
+        databases
+            .filter((database) => database.name?.startsWith(dbNamePrefix))
+            .forEach((database) => names.add(database.name));
+    }
+    if (owner) {
+        names.delete(dbNameFor(owner));
+    }
+    await Promise.all([...names].map(deleteDb));
+}
+
+export async function getFilmstrip(entryId) {
+    const db = await openDb();
+    let value = null;
+    await runTransaction(db, 'readonly', (store) => {
+        const request = store.get(String(entryId));
+        request.onsuccess = () => {
+            value = request.result ?? null;
+        };
+    });
+    db.close();
+    return value;
+}
+
+export async function saveFilmstrip(entryId, filmstrip) {
+    const db = await openDb();
+    await runTransaction(db, 'readwrite', (store) => {
+        store.put({ ...filmstrip, entryId: String(entryId), createdAt: new Date().toISOString() });
+
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - maxFilmstrips;
+            if (excess <= 0) {
+                return;
+            }
+
+            // Oldest first
+            store.index(createdAtIndexName).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor && excess > 0) {
+                    cursor.delete();
+                    excess -= 1;
+                    cursor.continue();
+                }
+            };
+        };
+    });
+    db.close();
+}
+
+export async function deleteFilmstrip(entryId) {
+    const db = await openDb();
+    await runTransaction(db, 'readwrite', (store) => store.delete(String(entryId)));
+    db.close();
+}
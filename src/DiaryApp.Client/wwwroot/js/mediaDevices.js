@@ -34,6 +34,50 @@ export async function listDevices(requestPermissions = false) {
     return hasLabels ? labeledDevices : [];
 }
 
+// Devices come and go in bursts (a headset registers input and output separately), so changes are
+// collected for a moment before the list is read again
+const DEVICE_CHANGE_DEBOUNCE_MS = 300;
+
+// Calls back with the current device list (same shape as listDevices) whenever a camera or
+// microphone is plugged in or removed. The callback is either a function or a .NET object reference
+// with an OnDevicesChanged method. Returns a handle whose dispose() stops watching.
+export function watchDevices(callback) {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) {
+        return { dispose: () => { } };
+    }
+
+    const notify = typeof callback === 'function'
+        ? callback
+        : (devices) => callback.invokeMethodAsync('OnDevicesChanged', devices);
+    let timer = null;
+    let disposed = false;
+
+    const onChange = () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            const devices = await listDevices(false);
+            if (disposed) {
+                return;
+            }
+            try {
+                await notify(devices);
+            } catch (error) {
+                console.warn('Failed to report device changes', error);
+            }
+        }, DEVICE_CHANGE_DEBOUNCE_MS);
+    };
+
+    mediaDevices.addEventListener('devicechange', onChange);
+    return {
+        dispose: () => {
+            disposed = true;
+            clearTimeout(timer);
+            mediaDevices.removeEventListener('devicechange', onChange);
+        }
+    };
+}
+
 export function getBrowserLanguage() {
     // Get the browser's preferred language
     // navigator.language returns a BCP 47 language tag like "en-US", "it-IT", etc.
@@ -0,0 +1,412 @@
+// Fragmented MP4 (ISO BMFF) writer for WebCodecs output. The init segment (ftyp + moov) comes
+// first, followed by one moof + mdat pair per fragment, so any prefix that ends on a fragment
+// boundary is still playable (which keeps crash recovery working). finalize() appends an mfra
+// index for seeking and returns a same-sized init segment carrying the real duration.
+
+const MOVIE_TIMESCALE = 1000;
+const VIDEO_TIMESCALE = 90_000;
+const VIDEO_TRACK_ID = 1;
+const AUDIO_TRACK_ID = 2;
+const SYNC_SAMPLE_FLAGS = 0x02000000;
+const NON_SYNC_SAMPLE_FLAGS = 0x01010000;
+const DEFAULT_OPUS_PRE_SKIP = 312;
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+const IDENTITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+const textEncoder = new TextEncoder();
+
+// ============ Byte helpers ============
+
+function u8(value) {
+    return Uint8Array.of(value & 0xff);
+}
+
+function u16(value) {
+    return Uint8Array.of((value >>> 8) & 0xff, value & 0xff);
+}
+
+function u24(value) {
+    return Uint8Array.of((value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+function u32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value >>> 0);
+    return bytes;
+}
+
+function u64(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, BigInt(Math.max(0, Math.round(value))));
+    return bytes;
+}
+
+function ascii(text) {
+    return textEncoder.encode(text);
+}
+
+function zeros(length) {
+    return new Uint8Array(length);
+}
+
+function concat(parts) {
+    const flat = parts.flat(Infinity).filter(Boolean);
+    const length = flat.reduce((total, part) => total + part.byteLength, 0);
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const part of flat) {
+        result.set(part, offset);
+        offset += part.byteLength;
+    }
+    return result;
+}
+
+function box(type, ...payload) {
+    const body = concat(payload);
+    return concat([u32(body.byteLength + 8), ascii(type), body]);
+}
+
+function fullBox(type, version, flags, ...payload) {
+    return box(type, u8(version), u24(flags), ...payload);
+}
+
+function toBytes(source) {
+    if (!source) {
+        return null;
+    }
+    if (source instanceof Uint8Array) {
+        return source;
+    }
+    if (ArrayBuffer.isView(source)) {
+        return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    }
+    return new Uint8Array(source);
+}
+
+function matrix() {
+    return IDENTITY_MATRIX.map(u32);
+}
+
+function toTicks(microseconds, timescale) {
+    return Math.round((microseconds * timescale) / 1_000_000);
+}
+
+// ============ Codec configuration boxes ============
+
+// Minimal av1C for 8-bit 4:2:0 streams, used when the encoder does not supply one
+function buildAv1Config(codec) {
+    const [, profile = '0', levelAndTier = '08M'] = codec.split('.');
+    const level = parseInt(levelAndTier, 10) || 0;
+    const tier = levelAndTier.endsWith('H') ? 1 : 0;
+    return Uint8Array.of(
+        0x81,
+        ((Number(profile) & 0x07) << 5) | (level & 0x1f),
+        (tier << 7) | 0b00001100,
+        0);
+}
+
+function buildAudioSpecificConfig(sampleRate, channels) {
+    const frequencyIndex = Math.max(0, AAC_SAMPLE_RATES.indexOf(sampleRate));
+    // AAC-LC (object type 2), sampling frequency index, channel configuration
+    return Uint8Array.of((2 << 3) | (frequencyIndex >> 1), ((frequencyIndex & 1) << 7) | (channels << 3));
+}
+
+function descriptor(tag, ...payload) {
+    const body = concat(payload);
+    return concat([u8(tag), u8(body.byteLength), body]);
+}
+
+function esds(config) {
+    const audioSpecificConfig = toBytes(config.description) ?? buildAudioSpecificConfig(config.sampleRate, config.numberOfChannels);
+    const bitrate = config.bitrate ?? 0;
+    return fullBox('esds', 0, 0,
+        descriptor(0x03, u16(AUDIO_TRACK_ID), u8(0),
+            descriptor(0x04, u8(0x40), u8(0x15), u24(0), u32(bitrate), u32(bitrate),
+                descriptor(0x05, audioSpecificConfig)),
+            descriptor(0x06, u8(0x02))));
+}
+
+// The encoder may hand out an OpusHead (little-endian); dOps carries the same fields big-endian
+function dOps(config) {
+    const head = toBytes(config.description);
+    let preSkip = DEFAULT_OPUS_PRE_SKIP;
+    if (head && head.byteLength >= 19 && new TextDecoder().decode(head.subarray(0, 8)) === 'OpusHead') {
+        preSkip = head[10] | (head[11] << 8);
+    }
+    return box('dOps', u8(0), u8(config.numberOfChannels), u16(preSkip), u32(config.sampleRate), u16(0), u8(0));
+}
+
+function visualSampleEntry(config) {
+    const isAv1 = config.codec.startsWith('av01');
+    const configBox = isAv1
+        ? box('av1C', toBytes(config.description) ?? buildAv1Config(config.codec))
+        : box('avcC', toBytes(config.description));
+    return box(isAv1 ? 'av01' : 'avc1',
+        zeros(6), u16(1),
+        zeros(16),
+        u16(config.width), u16(config.height),
+        u32(0x00480000), u32(0x00480000),
+        zeros(4),
+        u16(1),
+        zeros(32),
+        u16(0x0018), u16(0xffff),
+        configBox);
+}
+
+function audioSampleEntry(config) {
+    const isOpus = config.codec === 'opus';
+    return box(isOpus ? 'Opus' : 'mp4a',
+        zeros(6), u16(1),
+        zeros(8),
+        u16(config.numberOfChannels), u16(16),
+        zeros(4),
+        u32(config.sampleRate << 16),
+        isOpus ? dOps(config) : esds(config));
+}
+
+// ============ Init segment ============
+
+function trak(track, durations) {
+    const isVideo = track.kind === 'video';
+    const config = track.config;
+    return box('trak',
+        fullBox('tkhd', 1, 0x000003,
+            u64(0), u64(0), u32(track.id), zeros(4), u64(durations.movie),
+            zeros(8), u16(0), u16(0), u16(isVideo ? 0 : 0x0100), zeros(2),
+            matrix(),
+            u32(isVideo ? config.width << 16 : 0), u32(isVideo ? config.height << 16 : 0)),
+        box('mdia',
+            fullBox('mdhd', 1, 0, u64(0), u64(0), u32(track.timescale), u64(durations.media), u16(0x55c4), u16(0)),
+            fullBox('hdlr', 0, 0, u32(0), ascii(isVideo ? 'vide' : 'soun'), zeros(12), ascii(isVideo ? 'VideoHandler' : 'SoundHandler'), u8(0)),
+            box('minf',
+                isVideo ? fullBox('vmhd', 0, 1, zeros(8)) : fullBox('smhd', 0, 0, zeros(4)),
+                box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+                box('stbl',
+                    fullBox('stsd', 0, 0, u32(1), isVideo ? visualSampleEntry(config) : audioSampleEntry(config)),
+                    fullBox('stts', 0, 0, u32(0)),
+                    fullBox('stsc', 0, 0, u32(0)),
+                    fullBox('stsz', 0, 0, u32(0), u32(0)),
+                    fullBox('stco', 0, 0, u32(0))))));
+}
+
+function buildInitSegment(tracks, durationUs) {
+    const movieDuration = toTicks(durationUs, MOVIE_TIMESCALE);
+    const brands = tracks.some((track) => track.config.codec?.startsWith('av01')) ? 'av01' : 'avc1';
+    return concat([
+        box('ftyp', ascii('isom'), u32(0x200), ascii('isom'), ascii('iso6'), ascii('iso2'), ascii(brands), ascii('mp41')),
+        box('moov',
+            fullBox('mvhd', 1, 0,
+                u64(0), u64(0), u32(MOVIE_TIMESCALE), u64(movieDuration),
+                u32(0x00010000), u16(0x0100), zeros(10),
+                matrix(),
+                zeros(24),
+                u32(tracks.length + 1)),
+            tracks.map((track) => trak(track, { movie: movieDuration, media: toTicks(durationUs, track.timescale) })),
+            box('mvex',
+                fullBox('mehd', 1, 0, u64(movieDuration)),
+                tracks.map((track) => fullBox('trex', 0, 0, u32(track.id), u32(1), u32(0), u32(0), u32(0)))))
+    ]);
+}
+
+// ============ Fragments ============
+
+function traf(track, samples, baseDecodeTime, dataOffset) {
+    const flags = 0x000001 | 0x000100 | 0x000200 | 0x000400;
+    return box('traf',
+        fullBox('tfhd', 0, 0x020000, u32(track.id)),
+        fullBox('tfdt', 1, 0, u64(baseDecodeTime)),
+        fullBox('trun', 0, flags,
+            u32(samples.length),
+            u32(dataOffset),
+            samples.map((sample) => [
+                u32(sample.duration),
+                u32(sample.data.byteLength),
+                u32(sample.key ? SYNC_SAMPLE_FLAGS : NON_SYNC_SAMPLE_FLAGS)
+            ])));
+}
+
+function buildFragment(sequence, runs) {
+    const build = (offsets) => box('moof',
+        fullBox('mfhd', 0, 0, u32(sequence)),
+        runs.map((run, index) => traf(run.track, run.samples, run.baseDecodeTime, offsets[index])));
+
+    // Data offsets are relative to the moof start, so measure it once with placeholders
+    const moofSize = build(runs.map(() => 0)).byteLength;
+    const offsets = [];
+    let offset = moofSize + 8;
+    for (const run of runs) {
+        offsets.push(offset);
+        offset += run.samples.reduce((total, sample) => total + sample.data.byteLength, 0);
+    }
+
+    const moof = build(offsets);
+    const mdat = box('mdat', runs.map((run) => run.samples.map((sample) => sample.data)));
+    return concat([moof, mdat]);
+}
+
+function buildRandomAccessIndex(track, entries) {
+    const tfra = fullBox('tfra', 1, 0,
+        u32(track.id),
+        u32(0),
+        u32(entries.length),
+        entries.map((entry) => [u64(entry.time), u64(entry.moofOffset), u8(1), u8(1), u8(1)]));
+    const mfroSize = 16;
+    const mfraSize = 8 + tfra.byteLength + mfroSize;
+    return box('mfra', tfra, fullBox('mfro', 0, 0, u32(mfraSize)));
+}
+
+// ============ Muxer ============
+
+function copyChunk(chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    return data;
+}
+
+export class Mp4Muxer {
+    // options: { video: { codec, width, height }, audio: { codec, sampleRate, numberOfChannels, bitrate } | null,
+    //            onData(bytes) }
+    constructor(options) {
+        this.onData = options.onData;
+        this.tracks = [];
+        this.video = this.createTrack('video', VIDEO_TRACK_ID, VIDEO_TIMESCALE, options.video);
+        this.audio = options.audio
+            ? this.createTrack('audio', AUDIO_TRACK_ID, options.audio.sampleRate, options.audio)
+            : null;
+        this.sequence = 0;
+        this.bytesWritten = 0;
+        this.initSize = 0;
+        this.keyframeIndex = [];
+        this.endUs = 0;
+    }
+
+    createTrack(kind, id, timescale, config) {
+        const track = { kind, id, timescale, config: { ...config }, pending: [], lastDurationUs: 0, configured: false };
+        this.tracks.push(track);
+        return track;
+    }
+
+    // The encoder reports its final configuration (including codec-private data) with the first chunk
+    applyDecoderConfig(track, metadata) {
+        const config = metadata?.decoderConfig;
+        if (!config || track.configured) {
+            return;
+        }
+        track.configured = true;
+        if (this.initSize > 0) {
+            // Too late to change the init segment; the encoder was configured with the same values
+            return;
+        }
+
+        track.config = {
+            ...track.config,
+            codec: config.codec ?? track.config.codec,
+            description: config.description ?? track.config.description,
+            width: config.codedWidth ?? track.config.width,
+            height: config.codedHeight ?? track.config.height,
+            sampleRate: config.sampleRate ?? track.config.sampleRate,
+            numberOfChannels: config.numberOfChannels ?? track.config.numberOfChannels
+        };
+        if (track.kind === 'audio') {
+            track.timescale = track.config.sampleRate;
+        }
+    }
+
+    addVideoChunk(chunk, metadata, timestampUs = chunk.timestamp) {
+        this.applyDecoderConfig(this.video, metadata);
+        const key = chunk.type === 'key';
+        // Fragments start on keyframes so each one can be decoded (and seeked to) on its own
+        if (key && this.video.pending.length > 0) {
+            this.flushFragment(timestampUs);
+        }
+        this.video.pending.push({ data: copyChunk(chunk), timestampUs, durationUs: chunk.duration ?? null, key });
+    }
+
+    addAudioChunk(chunk, metadata, timestampUs = chunk.timestamp) {
+        if (!this.audio) {
+            return;
+        }
+        this.applyDecoderConfig(this.audio, metadata);
+        this.audio.pending.push({ data: copyChunk(chunk), timestampUs, durationUs: chunk.duration ?? null, key: true });
+    }
+
+    emit(bytes) {
+        this.bytesWritten += bytes.byteLength;
+        this.onData(bytes);
+    }
+
+    writeInitSegment() {
+        if (this.initSize > 0) {
+            return;
+        }
+        const init = buildInitSegment(this.tracks, 0);
+        this.initSize = init.byteLength;
+        this.emit(init);
+    }
+
+    // Turns pending samples into a trun. nextTimestampUs is the timestamp of the sample that follows
+    // the run, which gives the last sample an exact duration; without it the chunk's own duration
+    // (or the previous one) is used.
+    takeRun(track, nextTimestampUs) {
+        const samples = track.pending;
+        track.pending = [];
+        if (samples.length === 0) {
+            return null;
+        }
+
+        const baseDecodeTime = toTicks(samples[0].timestampUs, track.timescale);
+        const entries = samples.map((sample, index) => {
+            const nextUs = samples[index + 1]?.timestampUs
+                ?? nextTimestampUs
+                ?? sample.timestampUs + (sample.durationUs || track.lastDurationUs);
+            const durationUs = Math.max(0, nextUs - sample.timestampUs);
+            if (durationUs > 0) {
+                track.lastDurationUs = durationUs;
+            }
+            this.endUs = Math.max(this.endUs, sample.timestampUs + durationUs);
+            return {
+                data: sample.data,
+                key: sample.key,
+                duration: Math.max(1, toTicks(sample.timestampUs + durationUs, track.timescale) - toTicks(sample.timestampUs, track.timescale))
+            };
+        });
+
+        return { track, samples: entries, baseDecodeTime, startsWithKey: samples[0].key };
+    }
+
+    flushFragment(nextVideoUs = null) {
+        // The init segment needs the encoder's codec-private data, which arrives with the first keyframe
+        if (!this.video.configured) {
+            return;
+        }
+
+        const runs = [this.takeRun(this.video, nextVideoUs)];
+        if (this.audio) {
+            runs.push(this.takeRun(this.audio, null));
+        }
+        const presentRuns = runs.filter(Boolean);
+        if (presentRuns.length === 0) {
+            return;
+        }
+
+        this.writeInitSegment();
+        this.sequence += 1;
+        const videoRun = runs[0];
+        if (videoRun?.startsWithKey) {
+            this.keyframeIndex.push({ time: videoRun.baseDecodeTime, moofOffset: this.bytesWritten });
+        }
+        this.emit(buildFragment(this.sequence, presentRuns));
+    }
+
+    // Writes whatever is pending plus the seek index. Returns the init segment rewritten with the
+    // final duration; it has the same size as the one emitted first, so it can replace it in place.
+    finalize() {
+        this.flushFragment();
+        if (this.initSize === 0) {
+            return null;
+        }
+
+        this.emit(buildRandomAccessIndex(this.video, this.keyframeIndex));
+        return buildInitSegment(this.tracks, this.endUs);
+    }
+}
@@ -0,0 +1,100 @@
+import { deleteFilmstrip, isSupported as canKeepPreviews, setOwner as setPreviewOwner } from './filmstripStore.js';
+
+// Page-side controls for the service worker's offline caches. The worker keeps one cache
+// partition per user and drops the others, so only a hash of the identity is sent. Preview
+// filmstrips in IndexedDB follow the same owner.
+
+async function hashIdentity(identity) {
+    if (!crypto?.subtle) {
+        return null;
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(identity));
+    return Array.from(new Uint8Array(digest).slice(0, 16), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Pass null when nobody is signed in; the worker then clears every user's cached data
+export async function setCacheUser(identity) {
+    const user = identity ? await hashIdentity(identity).catch(() => null) : null;
+    await setPreviewOwner(user).catch((error) => console.warn('Failed to update the preview owner:', error));
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage({ type: 'set-cache-user', user });
+    } catch (error) {
+        console.warn('Failed to update the offline cache owner:', error);
+    }
+}
+
+// Quick requests; downloads get longer (see makeEntryAvailableOffline)
+const REPLY_TIMEOUT_MS = 5000;
+const DOWNLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Rejects after timeoutMs: the development worker and workers from older deployments have no
+// message handler, and navigator.serviceWorker.ready never settles without a registration
+function askWorker(message, timeoutMs = REPLY_TIMEOUT_MS) {
+    if (!('serviceWorker' in navigator)) {
+        return Promise.reject(new Error('Offline copies need a browser with service worker support.'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => {
+            channel.port1.close();
+            reject(new Error('The offline worker did not answer. Reload the page and try again.'));
+        }, timeoutMs);
+        const settle = (fn, value) => {
+            clearTimeout(timer);
+            channel.port1.close();
+            fn(value);
+        };
+
+        channel.port1.onmessage = (event) => {
+            const result = event.data ?? {};
+            if (result.ok === false) {
+                settle(reject, new Error(result.error || 'The offline worker could not complete the request.'));
+            } else {
+                settle(resolve, result);
+            }
+        };
+
+        navigator.serviceWorker.ready.then((registration) => {
+            const worker = registration.active;
+            if (!worker) {
+                settle(reject, new Error('The offline worker is not running yet. Reload the page and try again.'));
+                return;
+            }
+            worker.postMessage(message, [channel.port2]);
+        }, (error) => settle(reject, error));
+    });
+}
+
+// Downloads the entry's video into Cache Storage so it plays (and seeks) without a connection
+export async function makeEntryAvailableOffline(entryId) {
+    const result = await askWorker({ type: 'offline-media', action: 'add', entryId: String(entryId) }, DOWNLOAD_TIMEOUT_MS);
+    return result.sizeBytes ?? 0;
+}
+
+export async function removeOfflineEntry(entryId) {
+    await askWorker({ type: 'offline-media', action: 'remove', entryId: String(entryId) });
+}
+
+export async function listOfflineEntries() {
+    try {
+        const result = await askWorker({ type: 'offline-media', action: 'list' });
+        return result.entryIds ?? [];
+    } catch (error) {
+        console.warn('Unable to list offline entries:', error);
+        return [];
+    }
+}
+
+// Drops the preview filmstrip of a deleted entry; the worker removes its offline video when it sees the DELETE
+export async function forgetEntry(entryId) {
+    if (canKeepPreviews()) {
+        await deleteFilmstrip(entryId);
+    }
+}
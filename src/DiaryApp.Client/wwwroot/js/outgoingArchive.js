@@ -0,0 +1,174 @@
+import { enqueue, getBlob, list } from './outgoingQueue.js';
+import { createZip, readZip } from './zipArchive.js';
+
+const ARCHIVE_FORMAT = 'diaryapp-outgoing';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const METADATA_NAME = 'metadata.json';
+
+function safeFileName(value, fallback) {
+    const cleaned = (value || '').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').trim();
+    return cleaned || fallback;
+}
+
+function dateStamp(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function triggerDownload(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = fileName;
+    anchor.style.display = 'none';
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    // Revoking right away cancels the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+async function collectFiles(ids) {
+    const files = [];
+    const exported = [];
+    for (const id of ids) {
+        const entry = await getBlob(id);
+        if (!entry) {
+            continue;
+        }
+
+        const { metadata, blob } = entry;
+        const folder = String(metadata.id);
+        const videoPath = `${folder}/${safeFileName(metadata.fileName, 'entry.webm')}`;
+        const sidecar = {
+            id: metadata.id,
+            title: metadata.title,
+            description: metadata.description,
+            tags: metadata.tags,
+            fileName: metadata.fileName,
+            mimeType: metadata.mimeType,
+            createdAt: metadata.createdAt,
+            sizeBytes: blob.size,
+            video: videoPath
+        };
+
+        const modifiedAt = new Date(metadata.createdAt);
+        files.push(
+            { name: `${folder}/${METADATA_NAME}`, data: JSON.stringify(sidecar, null, 2), modifiedAt },
+            { name: videoPath, data: blob, modifiedAt });
+        exported.push(folder);
+    }
+    return { files, exported };
+}
+
+async function buildArchive(ids) {
+    const { files, exported } = await collectFiles(ids);
+    if (exported.length === 0) {
+        throw new Error('There are no queued recordings to export.');
+    }
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: exported
+    };
+    const blob = await createZip([{ name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) }, ...files]);
+    return { blob, entryCount: exported.length };
+}
+
+export async function exportEntry(id) {
+    const { blob } = await buildArchive([id]);
+    const entry = (await list()).find((item) => item.id === id);
+    const fileName = `diary-entry-${safeFileName(entry?.title, 'untitled').slice(0, 60)}-${dateStamp()}.zip`;
+    triggerDownload(blob, fileName);
+    return fileName;
+}
+
+export async function exportAll() {
+    const entries = await list();
+    const { blob, entryCount } = await buildArchive(entries.map((entry) => entry.id));
+    const fileName = `diary-outgoing-${dateStamp()}.zip`;
+    triggerDownload(blob, fileName);
+    return { fileName, entryCount };
+}
+
+async function readJson(entry) {
+    try {
+        return JSON.parse(await (await entry.blob()).text());
+    } catch (error) {
+        throw new Error(`'${entry.name}' is not valid JSON.`);
+    }
+}
+
+// Re-hydrates an exported archive into the queue. Entries already in the queue are skipped,
+// so importing the same archive twice is harmless.
+export async function importArchive(file) {
+    const entries = await readZip(file);
+    const byName = new Map(entries.map((entry) => [entry.name, entry]));
+
+    const manifestEntry = byName.get(MANIFEST_NAME);
+    const manifest = manifestEntry ? await readJson(manifestEntry) : null;
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+        throw new Error(`'${file.name ?? 'archive'}' is not a Rec-One export.`);
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+        throw new Error('This archive was exported by a newer version of the app.');
+    }
+
+    const existing = new Set((await list()).map((entry) => String(entry.id)));
+    let imported = 0;
+    let skipped = 0;
+    for (const folder of manifest.entries ?? []) {
+        const sidecarEntry = byName.get(`${folder}/${METADATA_NAME}`);
+        if (!sidecarEntry) {
+            console.warn(`Archive entry ${folder} has no metadata; skipping`);
+            skipped += 1;
+            continue;
+        }
+
+        const sidecar = await readJson(sidecarEntry);
+        const videoEntry = byName.get(sidecar.video);
+        if (!videoEntry || existing.has(String(sidecar.id))) {
+            skipped += 1;
+            continue;
+        }
+
+        const video = await videoEntry.blob();
+        await enqueue({
+            id: sidecar.id,
+            title: sidecar.title,
+            description: sidecar.description,
+            tags: sidecar.tags,
+            fileName: sidecar.fileName,
+            // Archives from older versions have none; the queue then goes by the file extension
+            mimeType: sidecar.mimeType,
+            createdAt: sidecar.createdAt,
+            sizeBytes: video.size,
+            // Stays a slice of the archive file; the queue stores it without reading it into memory
+            data: video
+        });
+        existing.add(String(sidecar.id));
+        imported += 1;
+    }
+
+    return { imported, skipped };
+}
+
+export async function importFromInput(input) {
+    const files = Array.from(input?.files ?? []);
+    const totals = { imported: 0, skipped: 0 };
+    try {
+        for (const file of files) {
+            const result = await importArchive(file);
+            totals.imported += result.imported;
+            totals.skipped += result.skipped;
+        }
+    } finally {
+        // Allow picking the same file again
+        if (input) {
+            input.value = '';
+        }
+    }
+    return totals;
+}
@@ -1,24 +1,145 @@
+import { broadcast, outgoingEntryLockName, subscribe, tryAcquireLock } from './tabCoordinator.js';
+
 const dbName = 'diaryapp-outgoing';
 const storeName = 'outgoingEntries';
-const dbVersion = 1;
+const chunkStoreName = 'outgoingChunks';
+const dbVersion = 3;
+const statusIndexName = 'status';
+// Large recordings are split so no single IndexedDB record (or structured clone) holds the whole video
+const chunkSizeBytes = 5 * 1024 * 1024;
+// Leave room for the rest of the app (caches, recordings in progress) when queuing
+const reservedBytes = 50 * 1024 * 1024;
+const lowSpaceRatio = 0.9;
+// Must stay in sync with service-worker.published.js
+const syncTag = 'diaryapp-outgoing-sync';
+const periodicSyncIntervalMs = 12 * 60 * 60 * 1000;
+
+export const statuses = Object.freeze(['pending', 'uploading', 'failed', 'paused']);
+
+// Entries keep the MIME type of the recording they were queued from; older entries and imported
+// archives fall back to the file extension. Mirrored in service-worker.published.js.
+const fileExtensionMimeTypes = Object.freeze({
+    webm: 'video/webm',
+    mp4: 'video/mp4',
+    m4a: 'audio/mp4',
+    ogg: 'audio/ogg'
+});
+
+function entryMimeType(record) {
+    if (record.mimeType) {
+        return record.mimeType;
+    }
+    const extension = /\.([a-z0-9]+)$/i.exec(record.fileName ?? '')?.[1]?.toLowerCase();
+    return fileExtensionMimeTypes[extension] ?? 'video/webm';
+}
+
+function withStatusDefaults(record) {
+    return {
+        ...record,
+        status: statuses.includes(record.status) ? record.status : 'pending',
+        attempts: record.attempts ?? 0,
+        lastError: record.lastError ?? null,
+        lastAttemptAt: record.lastAttemptAt ?? null,
+        uploadedBytes: record.uploadedBytes ?? 0,
+        uploadSession: record.uploadSession ?? null
+    };
+}
+
+function upgradeDb(db, tx, oldVersion) {
+    const store = db.objectStoreNames.contains(storeName)
+        ? tx.objectStore(storeName)
+        : db.createObjectStore(storeName, { keyPath: 'id' });
+
+    if (oldVersion < 2 && !store.indexNames.contains(statusIndexName)) {
+        store.createIndex(statusIndexName, 'status', { unique: false });
+    }
+
+    if (oldVersion < 3) {
+        const chunkStore = db.objectStoreNames.contains(chunkStoreName)
+            ? tx.objectStore(chunkStoreName)
+            : db.createObjectStore(chunkStoreName, { keyPath: ['entryId', 'sequence'] });
+
+        // One pass over older records: backfill the status fields (version 1) so they show up in
+        // the status index, and move inline recordings into chunk records (versions 1 and 2)
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                return;
+            }
+
+            const { data, ...record } = withStatusDefaults(cursor.value);
+            if (data) {
+                record.chunkCount = writeChunks(chunkStore, record.id, data);
+                record.sizeBytes = record.sizeBytes ?? data.byteLength;
+            }
+            cursor.update(record);
+            cursor.continue();
+        };
+    }
+}
+
+function writeChunks(chunkStore, entryId, data) {
+    // Blobs are stored as Blob slices, so queuing a recording never reads it into memory
+    if (data instanceof Blob) {
+        let blobSequence = 0;
+        for (let offset = 0; offset < data.size; offset += chunkSizeBytes) {
+            chunkStore.put({ entryId, sequence: blobSequence, data: data.slice(offset, offset + chunkSizeBytes) });
+            blobSequence += 1;
+        }
+        return blobSequence;
+    }
+
+    const buffer = data instanceof ArrayBuffer ? data : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    let sequence = 0;
+    for (let offset = 0; offset < buffer.byteLength; offset += chunkSizeBytes) {
+        chunkStore.put({ entryId, sequence, data: buffer.slice(offset, offset + chunkSizeBytes) });
+        sequence += 1;
+    }
+    return sequence;
+}
+
+function chunkRange(entryId) {
+    return IDBKeyRange.bound([entryId, 0], [entryId, Number.MAX_SAFE_INTEGER]);
+}
 
 function openDb() {
     return new Promise((resolve, reject) => {
         const request = indexedDB.open(dbName, dbVersion);
-        request.onupgradeneeded = () => {
+        request.onupgradeneeded = (event) => upgradeDb(request.result, request.transaction, event.oldVersion);
+        request.onsuccess = () => {
             const db = request.result;
-            if (!db.objectStoreNames.contains(storeName)) {
-                db.createObjectStore(storeName, { keyPath: 'id' });
-            }
+            // Let a newer tab upgrade the schema instead of blocking on this connection
+            db.onversionchange = () => db.close();
+            resolve(db);
         };
-        request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('Outgoing queue upgrade is waiting for other tabs to close');
     });
 }
 
+function toMetadata(value) {
+    const record = withStatusDefaults(value);
+    return {
+        id: record.id,
+        title: record.title || 'Untitled entry',
+        description: record.description || '',
+        tags: record.tags || '',
+        fileName: record.fileName || 'entry.webm',
+        mimeType: entryMimeType(record),
+        createdAt: record.createdAt || new Date().toISOString(),
+        sizeBytes: record.sizeBytes ?? record.data?.byteLength ?? 0,
+        status: record.status,
+        attempts: record.attempts,
+        lastError: record.lastError,
+        lastAttemptAt: record.lastAttemptAt,
+        uploadedBytes: record.uploadedBytes,
+        uploadSession: record.uploadSession
+    };
+}
+
 function runTransaction(db, mode, fn) {
     return new Promise((resolve, reject) => {
-        const tx = db.transaction(storeName, mode);
+        const tx = db.transaction([storeName, chunkStoreName], mode);
         const store = tx.objectStore(storeName);
         fn(store, tx);
         tx.oncomplete = () => resolve();
@@ -27,18 +148,193 @@ function runTransaction(db, mode, fn) {
     });
 }
 
-export async function enqueue(entry) {
+// ============ Storage quota ============
+
+async function estimateStorage() {
+    if (!navigator.storage?.estimate) {
+        return null;
+    }
+
+    try {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return quota > 0 ? { usage, quota } : null;
+    } catch (error) {
+        console.warn('Failed to estimate storage:', error);
+        return null;
+    }
+}
+
+async function ensurePersistentStorage() {
+    if (!navigator.storage?.persist) {
+        return false;
+    }
+
+    try {
+        // Without this the browser may evict queued recordings under storage pressure
+        return await navigator.storage.persisted() || await navigator.storage.persist();
+    } catch (error) {
+        console.warn('Failed to request persistent storage:', error);
+        return false;
+    }
+}
+
+function formatMegabytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+async function checkAvailableSpace(sizeBytes) {
+    const estimate = await estimateStorage();
+    if (!estimate) {
+        return null;
+    }
+
+    const available = estimate.quota - estimate.usage;
+    if (sizeBytes + reservedBytes > available) {
+        const error = new Error(
+            `Not enough storage space to keep this recording offline (needs ${formatMegabytes(sizeBytes)}, ` +
+            `${formatMegabytes(Math.max(0, available - reservedBytes))} available). Free up space or delete queued entries.`);
+        error.name = 'QuotaExceededError';
+        throw error;
+    }
+
+    if (estimate.usage + sizeBytes > estimate.quota * lowSpaceRatio) {
+        return `Storage is almost full (${formatMegabytes(estimate.usage + sizeBytes)} of ${formatMegabytes(estimate.quota)} used).`;
+    }
+    return null;
+}
+
+export async function getStorageUsage() {
     const db = await openDb();
-    await runTransaction(db, 'readwrite', (store) => {
-        const payload = {
-            ...entry,
-            createdAt: entry.createdAt || new Date().toISOString(),
-            sizeBytes: entry.sizeBytes ?? entry.data?.byteLength ?? 0,
-            data: entry.data instanceof Uint8Array ? entry.data.buffer : entry.data
+    let entryCount = 0;
+    let queuedBytes = 0;
+    await runTransaction(db, 'readonly', (store) => {
+        const request = store.openCursor();
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                entryCount += 1;
+                queuedBytes += cursor.value.sizeBytes ?? 0;
+                cursor.continue();
+            }
         };
-        store.put(payload);
     });
     db.close();
+
+    const estimate = await estimateStorage();
+    const persisted = navigator.storage?.persisted ? await navigator.storage.persisted().catch(() => false) : false;
+    return {
+        entryCount,
+        queuedBytes,
+        usageBytes: estimate?.usage ?? null,
+        quotaBytes: estimate?.quota ?? null,
+        persisted
+    };
+}
+
+// ============ Queue ============
+
+// Returns a warning message when the queue is close to the storage quota, otherwise null.
+// Throws a QuotaExceededError when the recording does not fit.
+export async function enqueue(entry) {
+    const sizeBytes = entry.sizeBytes ?? entry.data?.byteLength ?? entry.data?.size ?? 0;
+    const warning = await checkAvailableSpace(sizeBytes);
+    await ensurePersistentStorage();
+
+    const db = await openDb();
+    try {
+        await runTransaction(db, 'readwrite', (store, tx) => {
+            const chunkStore = tx.objectStore(chunkStoreName);
+            const { data, ...metadata } = entry;
+            chunkStore.delete(chunkRange(entry.id));
+            const chunkCount = data ? writeChunks(chunkStore, entry.id, data) : 0;
+            store.put(withStatusDefaults({
+                ...metadata,
+                mimeType: metadata.mimeType || (data instanceof Blob && data.type) || entryMimeType(metadata),
+                createdAt: entry.createdAt || new Date().toISOString(),
+                sizeBytes,
+                chunkCount
+            }));
+        });
+    } catch (error) {
+        if (error?.name === 'QuotaExceededError') {
+            throw new Error(`The browser ran out of storage while queuing this recording (${formatMegabytes(sizeBytes)}).`);
+        }
+        throw error;
+    } finally {
+        db.close();
+    }
+
+    if (warning) {
+        console.warn(warning);
+    }
+    notifyQueueChanged(entry.id, 'enqueued');
+    await requestBackgroundSync();
+    return warning;
+}
+
+export async function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) {
+        return false;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.periodicSync) {
+            await registration.periodicSync.register(syncTag, { minInterval: periodicSyncIntervalMs })
+                .catch((error) => console.warn('Periodic sync unavailable:', error));
+        }
+        if (registration.sync) {
+            await registration.sync.register(syncTag);
+            return true;
+        }
+
+        // No Background Sync: flush now if we are online, index.html re-triggers on the online event
+        if (navigator.onLine) {
+            registration.active?.postMessage({ type: 'flush-outgoing' });
+        }
+        return false;
+    } catch (error) {
+        console.warn('Failed to request background sync:', error);
+        return false;
+    }
+}
+
+function notifyQueueChanged(id, reason) {
+    broadcast('queue-changed', { id: String(id), reason });
+}
+
+// Reports background uploads from the service worker and queue changes made in other tabs
+export function watch(dotNetRef) {
+    const notify = (type, id, error = null) => {
+        dotNetRef.invokeMethodAsync('OnQueueChanged', type, String(id ?? ''), error)
+            .catch((callbackError) => console.warn('Failed to notify queue change', callbackError));
+    };
+
+    const workerHandler = (event) => {
+        const type = event.data?.type;
+        if (type === 'outgoing-uploaded' || type === 'outgoing-failed') {
+            notify(type, event.data.id, event.data.error ?? null);
+        }
+    };
+    const hasServiceWorker = 'serviceWorker' in navigator;
+    if (hasServiceWorker) {
+        navigator.serviceWorker.addEventListener('message', workerHandler);
+    }
+
+    const unsubscribe = subscribe((message) => {
+        if (message?.type === 'queue-changed') {
+            notify('queue-changed', message.id);
+        }
+    });
+
+    return {
+        dispose: () => {
+            unsubscribe();
+            if (hasServiceWorker) {
+                navigator.serviceWorker.removeEventListener('message', workerHandler);
+            }
+        }
+    };
 }
 
 export async function list() {
@@ -49,16 +345,7 @@ export async function list() {
         request.onsuccess = (event) => {
             const cursor = event.target.result;
             if (cursor) {
-                const value = cursor.value;
-                records.push({
-                    id: value.id,
-                    title: value.title || 'Untitled entry',
-                    description: value.description || '',
-                    tags: value.tags || '',
-                    fileName: value.fileName || 'entry.webm',
-                    createdAt: value.createdAt || new Date().toISOString(),
-                    sizeBytes: value.sizeBytes ?? value.data?.byteLength ?? 0
-                });
+                records.push(toMetadata(cursor.value));
                 cursor.continue();
             }
         };
@@ -67,33 +354,138 @@ export async function list() {
     return records;
 }
 
+async function readEntry(id) {
+    const db = await openDb();
+    let record = null;
+    let chunks = [];
+    await runTransaction(db, 'readonly', (store, tx) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            record = request.result ?? null;
+        };
+        const chunksRequest = tx.objectStore(chunkStoreName).getAll(chunkRange(id));
+        chunksRequest.onsuccess = () => {
+            chunks = chunksRequest.result.map((chunk) => chunk.data);
+        };
+    });
+    db.close();
+    return record ? { record, chunks } : null;
+}
+
 export async function get(id) {
+    const entry = await readEntry(id);
+    if (!entry) {
+        return null;
+    }
+
+    // Chunks are ArrayBuffers or Blob slices depending on how the entry was queued
+    const data = entry.chunks.length > 0 ? new Uint8Array(await new Blob(entry.chunks).arrayBuffer()) : null;
+    return {
+        ...toMetadata(entry.record),
+        data
+    };
+}
+
+// Builds a Blob straight from the chunk records so uploads never copy the whole recording
+export async function getBlob(id) {
+    const entry = await readEntry(id);
+    if (!entry || entry.chunks.length === 0) {
+        return null;
+    }
+
+    const metadata = toMetadata(entry.record);
+    return { metadata, blob: new Blob(entry.chunks, { type: metadata.mimeType }) };
+}
+
+export async function listByStatus(status) {
+    if (!statuses.includes(status)) {
+        throw new Error(`Unknown outgoing entry status '${status}'.`);
+    }
+
     const db = await openDb();
-    let value = null;
+    const records = [];
     await runTransaction(db, 'readonly', (store) => {
+        const request = store.index(statusIndexName).openCursor(IDBKeyRange.only(status));
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                records.push(toMetadata(cursor.value));
+                cursor.continue();
+            }
+        };
+    });
+    db.close();
+    return records;
+}
+
+// Moves an entry to a new status. Entering 'uploading' counts as an attempt unless the call only
+// reports progress (uploadedBytes); 'failed' records the error message.
+export async function updateStatus(id, status, details = {}) {
+    if (!statuses.includes(status)) {
+        throw new Error(`Unknown outgoing entry status '${status}'.`);
+    }
+
+    const db = await openDb();
+    let updated = null;
+    await runTransaction(db, 'readwrite', (store) => {
         const request = store.get(id);
         request.onsuccess = () => {
-            if (request.result) {
-                const result = request.result;
-                value = {
-                    id: result.id,
-                    title: result.title || 'Untitled entry',
-                    description: result.description || '',
-                    tags: result.tags || '',
-                    fileName: result.fileName || 'entry.webm',
-                    createdAt: result.createdAt || new Date().toISOString(),
-                    sizeBytes: result.sizeBytes ?? result.data?.byteLength ?? 0,
-                    data: result.data ? new Uint8Array(result.data) : null
-                };
+            if (!request.result) {
+                return;
+            }
+
+            const record = withStatusDefaults(request.result);
+            record.status = status;
+            if (status === 'uploading' && details.uploadedBytes === undefined) {
+                record.attempts += 1;
+                record.lastAttemptAt = new Date().toISOString();
+            }
+            if (status === 'failed') {
+                record.lastError = details.error || 'Upload failed.';
             }
+            if (details.uploadedBytes !== undefined) {
+                record.uploadedBytes = Math.max(0, Number(details.uploadedBytes) || 0);
+            }
+            if (details.uploadSession !== undefined) {
+                record.uploadSession = details.uploadSession;
+            }
+            store.put(record);
+            updated = toMetadata(record);
         };
     });
     db.close();
-    return value;
+    if (updated) {
+        notifyQueueChanged(id, 'status');
+    }
+    return updated;
+}
+
+// Entries stay 'uploading' when the tab or service worker uploading them dies. Any such entry whose
+// lock nobody holds is marked failed so it can be retried. Returns the number of entries reset.
+export async function recoverInterruptedUploads() {
+    let recovered = 0;
+    for (const entry of await listByStatus('uploading')) {
+        const releaseLock = await tryAcquireLock(outgoingEntryLockName(entry.id));
+        if (!releaseLock) {
+            continue;
+        }
+
+        try {
+            await updateStatus(entry.id, 'failed', { error: 'The upload was interrupted before it finished.' });
+            recovered += 1;
+        } finally {
+            releaseLock();
+        }
+    }
+    return recovered;
 }
 
 export async function remove(id) {
     const db = await openDb();
-    await runTransaction(db, 'readwrite', (store) => store.delete(id));
+    await runTransaction(db, 'readwrite', (store, tx) => {
+        store.delete(id);
+        tx.objectStore(chunkStoreName).delete(chunkRange(id));
+    });
     db.close();
+    notifyQueueChanged(id, 'removed');
 }
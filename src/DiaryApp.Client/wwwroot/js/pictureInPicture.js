@@ -0,0 +1,254 @@
+const SHAPES = new Set(['circle', 'rounded', 'rectangle']);
+const CORNERS = new Set(['top-left', 'top-right', 'bottom-left', 'bottom-right']);
+
+const MIN_SIZE = 0.1;
+const MAX_SIZE = 0.5;
+// Pointer presses in the outer ring of the bubble resize it instead of moving it
+const RESIZE_RING = 0.8;
+
+const DEFAULT_LAYOUT = Object.freeze({
+    shape: 'circle',
+    corner: 'bottom-right',
+    size: 0.22,
+    position: null
+});
+
+function clampSize(value, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        return fallback;
+    }
+    return Math.min(MAX_SIZE, Math.max(MIN_SIZE, number));
+}
+
+export function normalizeLayout(options, current = DEFAULT_LAYOUT) {
+    if (!options) {
+        return { ...current };
+    }
+
+    const corner = CORNERS.has(options.corner) ? options.corner : current.corner;
+    return {
+        shape: SHAPES.has(options.shape) ? options.shape : current.shape,
+        corner,
+        size: clampSize(options.size ?? current.size, current.size),
+        // Choosing a corner explicitly drops any free position left over from dragging
+        position: options.corner !== undefined ? null : current.position
+    };
+}
+
+export function computeBubbleRect(layout, canvasWidth, canvasHeight) {
+    const width = Math.round(canvasWidth * layout.size);
+    const height = layout.shape === 'circle' ? width : Math.round(width * 0.75);
+    const margin = Math.round(Math.min(canvasWidth, canvasHeight) * 0.03);
+
+    let x;
+    let y;
+    if (layout.position) {
+        x = layout.position.x * canvasWidth - width / 2;
+        y = layout.position.y * canvasHeight - height / 2;
+    } else {
+        x = layout.corner.endsWith('left') ? margin : canvasWidth - width - margin;
+        y = layout.corner.startsWith('top') ? margin : canvasHeight - height - margin;
+    }
+
+    return {
+        x: Math.min(Math.max(0, x), canvasWidth - width),
+        y: Math.min(Math.max(0, y), canvasHeight - height),
+        width,
+        height
+    };
+}
+
+function traceShape(context, rect, shape) {
+    context.beginPath();
+    if (shape === 'circle') {
+        context.arc(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width / 2, 0, Math.PI * 2);
+    } else if (shape === 'rounded' && typeof context.roundRect === 'function') {
+        context.roundRect(rect.x, rect.y, rect.width, rect.height, Math.round(rect.width * 0.08));
+    } else {
+        context.rect(rect.x, rect.y, rect.width, rect.height);
+    }
+    context.closePath();
+}
+
+export function drawBubble(context, cameraElement, canvasWidth, canvasHeight, layout, mirror = false) {
+    if (!cameraElement || cameraElement.readyState < 2) {
+        return;
+    }
+
+    const rect = computeBubbleRect(layout, canvasWidth, canvasHeight);
+    const sourceWidth = cameraElement.videoWidth || rect.width;
+    const sourceHeight = cameraElement.videoHeight || rect.height;
+
+    // Crop the camera frame like object-fit: cover so the face fills the bubble
+    const scale = Math.max(rect.width / sourceWidth, rect.height / sourceHeight);
+    const cropWidth = rect.width / scale;
+    const cropHeight = rect.height / scale;
+    const cropX = (sourceWidth - cropWidth) / 2;
+    const cropY = (sourceHeight - cropHeight) / 2;
+
+    context.save();
+    traceShape(context, rect, layout.shape);
+    context.clip();
+    if (mirror) {
+        context.translate(rect.x * 2 + rect.width, 0);
+        context.scale(-1, 1);
+    }
+    context.drawImage(cameraElement, cropX, cropY, cropWidth, cropHeight, rect.x, rect.y, rect.width, rect.height);
+    context.restore();
+
+    context.save();
+    traceShape(context, rect, layout.shape);
+    context.lineWidth = Math.max(2, Math.round(rect.width * 0.015));
+    context.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    context.stroke();
+    context.restore();
+}
+
+function toCanvasPoint(element, event, canvasWidth, canvasHeight) {
+    // The preview uses object-fit: contain, so account for letterboxing
+    const bounds = element.getBoundingClientRect();
+    const scale = Math.min(bounds.width / canvasWidth, bounds.height / canvasHeight);
+    const offsetX = (bounds.width - canvasWidth * scale) / 2;
+    const offsetY = (bounds.height - canvasHeight * scale) / 2;
+    return {
+        x: (event.clientX - bounds.left - offsetX) / scale,
+        y: (event.clientY - bounds.top - offsetY) / scale
+    };
+}
+
+function relativeDistance(point, rect) {
+    const halfWidth = rect.width / 2;
+    const halfHeight = rect.height / 2;
+    const dx = (point.x - (rect.x + halfWidth)) / halfWidth;
+    const dy = (point.y - (rect.y + halfHeight)) / halfHeight;
+    return { dx, dy };
+}
+
+function nearestCorner(layout, canvasWidth, canvasHeight) {
+    const rect = computeBubbleRect(layout, canvasWidth, canvasHeight);
+    const vertical = rect.y + rect.height / 2 < canvasHeight / 2 ? 'top' : 'bottom';
+    const horizontal = rect.x + rect.width / 2 < canvasWidth / 2 ? 'left' : 'right';
+    return `${vertical}-${horizontal}`;
+}
+
+export function attachBubbleControls(element, getCanvasSize, getLayout, setLayout) {
+    if (!element) {
+        return () => { };
+    }
+
+    let gesture = null;
+
+    const onPointerDown = (event) => {
+        const { width, height } = getCanvasSize();
+        if (!width || !height) {
+            return;
+        }
+
+        const layout = getLayout();
+        const rect = computeBubbleRect(layout, width, height);
+        const point = toCanvasPoint(element, event, width, height);
+        const { dx, dy } = relativeDistance(point, rect);
+        const distance = layout.shape === 'circle' ? Math.hypot(dx, dy) : Math.max(Math.abs(dx), Math.abs(dy));
+        if (distance > 1) {
+            return;
+        }
+
+        gesture = {
+            pointerId: event.pointerId,
+            mode: distance >= RESIZE_RING ? 'resize' : 'move',
+            offsetX: point.x - (rect.x + rect.width / 2),
+            offsetY: point.y - (rect.y + rect.height / 2)
+        };
+        element.setPointerCapture?.(event.pointerId);
+        event.preventDefault();
+        event.stopPropagation();
+    };
+
+    const onPointerMove = (event) => {
+        if (!gesture || gesture.pointerId !== event.pointerId) {
+            return;
+        }
+
+        const { width, height } = getCanvasSize();
+        const layout = getLayout();
+        const point = toCanvasPoint(element, event, width, height);
+
+        if (gesture.mode === 'move') {
+            setLayout({
+                ...layout,
+                position: {
+                    x: (point.x - gesture.offsetX) / width,
+                    y: (point.y - gesture.offsetY) / height
+                }
+            });
+        } else {
+            const rect = computeBubbleRect(layout, width, height);
+            const centerX = rect.x + rect.width / 2;
+            const centerY = rect.y + rect.height / 2;
+            const aspect = rect.height / rect.width;
+            const halfWidth = Math.max(Math.abs(point.x - centerX), Math.abs(point.y - centerY) / aspect);
+            setLayout({
+                ...layout,
+                size: clampSize((halfWidth * 2) / width, layout.size),
+                position: layout.position ?? { x: centerX / width, y: centerY / height }
+            });
+        }
+        event.preventDefault();
+    };
+
+    const onPointerUp = (event) => {
+        if (!gesture || gesture.pointerId !== event.pointerId) {
+            return;
+        }
+
+        const { width, height } = getCanvasSize();
+        const layout = getLayout();
+        setLayout({ ...layout, corner: nearestCorner(layout, width, height), position: null });
+        element.releasePointerCapture?.(event.pointerId);
+        gesture = null;
+        event.stopPropagation();
+    };
+
+    const onWheel = (event) => {
+        const { width, height } = getCanvasSize();
+        if (!width || !height) {
+            return;
+        }
+
+        const layout = getLayout();
+        const rect = computeBubbleRect(layout, width, height);
+        const point = toCanvasPoint(element, event, width, height);
+        const { dx, dy } = relativeDistance(point, rect);
+        if (Math.max(Math.abs(dx), Math.abs(dy)) > 1) {
+            return;
+        }
+
+        const factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+        setLayout({ ...layout, size: clampSize(layout.size * factor, layout.size) });
+        event.preventDefault();
+    };
+
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerup', onPointerUp);
+    element.addEventListener('pointercancel', onPointerUp);
+    element.addEventListener('wheel', onWheel, { passive: false });
+
+    return () => {
+        element.removeEventListener('pointerdown', onPointerDown);
+        element.removeEventListener('pointermove', onPointerMove);
+        element.removeEventListener('pointerup', onPointerUp);
+        element.removeEventListener('pointercancel', onPointerUp);
+        element.removeEventListener('wheel', onWheel);
+    };
+}
+
+export function createHiddenVideo(stream) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.defaultMuted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    return video;
+}
@@ -0,0 +1,68 @@
+const QUALITY_PROFILES = Object.freeze({
+    'data-saver': Object.freeze({
+        name: 'data-saver',
+        label: 'Data saver (480p)',
+        width: 854,
+        height: 480,
+        frameRate: 24,
+        videoBitsPerSecond: 750_000,
+        audioBitsPerSecond: 64_000
+    }),
+    standard: Object.freeze({
+        name: 'standard',
+        label: 'Standard (720p)',
+        width: 1280,
+        height: 720,
+        frameRate: 30,
+        videoBitsPerSecond: 2_500_000,
+        audioBitsPerSecond: 128_000
+    }),
+    high: Object.freeze({
+        name: 'high',
+        label: 'High (1080p)',
+        width: 1920,
+        height: 1080,
+        frameRate: 30,
+        videoBitsPerSecond: 5_000_000,
+        audioBitsPerSecond: 160_000
+    })
+});
+
+export const DEFAULT_PROFILE_NAME = 'standard';
+
+// Screen text must stay legible, so screen captures keep their native size instead of the camera
+// profile's, bounded only by what hardware encoders commonly accept
+const SCREEN_CAPTURE_LIMIT = Object.freeze({ width: 3840, height: 2160 });
+
+export function listQualityProfiles() {
+    return Object.values(QUALITY_PROFILES).map((profile) => ({ ...profile }));
+}
+
+export function resolveQualityProfile(name) {
+    return QUALITY_PROFILES[name] ?? QUALITY_PROFILES[DEFAULT_PROFILE_NAME];
+}
+
+// Scales the source dimensions down (never up) so they fit inside the profile while keeping the aspect ratio
+export function fitToProfile(width, height, profile) {
+    if (!width || !height) {
+        return { width: profile.width, height: profile.height };
+    }
+
+    const landscape = width >= height;
+    const maxLong = Math.max(profile.width, profile.height);
+    const maxShort = Math.min(profile.width, profile.height);
+    const scale = Math.min(
+        1,
+        (landscape ? maxLong : maxShort) / width,
+        (landscape ? maxShort : maxLong) / height);
+
+    // Encoders expect even dimensions
+    return {
+        width: Math.max(2, Math.round((width * scale) / 2) * 2),
+        height: Math.max(2, Math.round((height * scale) / 2) * 2)
+    };
+}
+
+export function fitScreenCapture(width, height) {
+    return fitToProfile(width, height, SCREEN_CAPTURE_LIMIT);
+}
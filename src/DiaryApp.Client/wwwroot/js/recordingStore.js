@@ -0,0 +1,190 @@
+const dbName = 'diaryapp-recordings';
+const recordingsStoreName = 'recordings';
+const chunksStoreName = 'chunks';
+const dbVersion = 1;
+
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, dbVersion);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(recordingsStoreName)) {
+                db.createObjectStore(recordingsStoreName, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(chunksStoreName)) {
+                // Chunks are keyed by [recordingId, sequence] so a key range returns them in order
+                db.createObjectStore(chunksStoreName, { keyPath: ['recordingId', 'sequence'] });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function runTransaction(db, storeNames, mode, fn) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        fn(tx);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function chunkRange(recordingId) {
+    return IDBKeyRange.bound([recordingId, 0], [recordingId, Number.MAX_SAFE_INTEGER]);
+}
+
+function toMetadata(value) {
+    return {
+        id: value.id,
+        mimeType: value.mimeType || 'video/webm',
+        startedAt: value.startedAt,
+        updatedAt: value.updatedAt || value.startedAt,
+        sizeBytes: value.sizeBytes ?? 0,
+        chunkCount: value.chunkCount ?? 0
+    };
+}
+
+export function isSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+export async function createRecording(id, mimeType) {
+    const db = await openDb();
+    const now = new Date().toISOString();
+    await runTransaction(db, recordingsStoreName, 'readwrite', (tx) => {
+        tx.objectStore(recordingsStoreName).put({
+            id,
+            mimeType,
+            startedAt: now,
+            updatedAt: now,
+            sizeBytes: 0,
+            chunkCount: 0
+        });
+    });
+    db.close();
+}
+
+export async function appendChunk(id, sequence, blob) {
+    const db = await openDb();
+    await runTransaction(db, [recordingsStoreName, chunksStoreName], 'readwrite', (tx) => {
+        tx.objectStore(chunksStoreName).put({ recordingId: id, sequence, data: blob });
+
+        const recordings = tx.objectStore(recordingsStoreName);
+        const request = recordings.get(id);
+        request.onsuccess = () => {
+            if (!request.result) {
+                return;
+            }
+            recordings.put({
+                ...request.result,
+                updatedAt: new Date().toISOString(),
+                sizeBytes: (request.result.sizeBytes ?? 0) + blob.size,
+                chunkCount: Math.max(request.result.chunkCount ?? 0, sequence + 1)
+            });
+        };
+    });
+    db.close();
+}
+
+export async function listRecordings() {
+    const db = await openDb();
+    const records = [];
+    await runTransaction(db, recordingsStoreName, 'readonly', (tx) => {
+        const request = tx.objectStore(recordingsStoreName).openCursor();
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                records.push(toMetadata(cursor.value));
+                cursor.continue();
+            }
+        };
+    });
+    db.close();
+    return records;
+}
+
+export async function readRecording(id) {
+    const db = await openDb();
+    let metadata = null;
+    const chunks = [];
+    await runTransaction(db, [recordingsStoreName, chunksStoreName], 'readonly', (tx) => {
+        const request = tx.objectStore(recordingsStoreName).get(id);
+        request.onsuccess = () => {
+            metadata = request.result ? toMetadata(request.result) : null;
+        };
+
+        const cursorRequest = tx.objectStore(chunksStoreName).openCursor(chunkRange(id));
+        cursorRequest.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                chunks.push(cursor.value.data);
+                cursor.continue();
+            }
+        };
+    });
+    db.close();
+    return metadata ? { ...metadata, chunks } : null;
+}
+
+export async function deleteRecording(id) {
+    const db = await openDb();
+    await runTransaction(db, [recordingsStoreName, chunksStoreName], 'readwrite', (tx) => {
+        tx.objectStore(recordingsStoreName).delete(id);
+        tx.objectStore(chunksStoreName).delete(chunkRange(id));
+    });
+    db.close();
+}
+
+// Swaps the stored chunks for a single blob (e.g. after trimming) while keeping the recording's id and start time
+export async function replaceRecording(id, mimeType, blob) {
+    const db = await openDb();
+    await runTransaction(db, [recordingsStoreName, chunksStoreName], 'readwrite', (tx) => {
+        const chunks = tx.objectStore(chunksStoreName);
+        chunks.delete(chunkRange(id));
+        chunks.put({ recordingId: id, sequence: 0, data: blob });
+
+        const recordings = tx.objectStore(recordingsStoreName);
+        const request = recordings.get(id);
+        request.onsuccess = () => {
+            const now = new Date().toISOString();
+            recordings.put({
+                ...(request.result ?? { id, startedAt: now }),
+                mimeType,
+                updatedAt: now,
+                sizeBytes: blob.size,
+                chunkCount: 1
+            });
+        };
+    });
+    db.close();
+}
+
+// Overwrites one stored chunk, e.g. a container header rewritten once the recording has finished
+export async function replaceChunk(id, sequence, blob) {
+    const db = await openDb();
+    await runTransaction(db, [recordingsStoreName, chunksStoreName], 'readwrite', (tx) => {
+        const chunks = tx.objectStore(chunksStoreName);
+        const existing = chunks.get([id, sequence]);
+        existing.onsuccess = () => {
+            const previousSize = existing.result?.data?.size ?? 0;
+            chunks.put({ recordingId: id, sequence, data: blob });
+
+            const recordings = tx.objectStore(recordingsStoreName);
+            const request = recordings.get(id);
+            request.onsuccess = () => {
+                if (!request.result) {
+                    return;
+                }
+                recordings.put({
+                    ...request.result,
+                    updatedAt: new Date().toISOString(),
+                    sizeBytes: Math.max(0, (request.result.sizeBytes ?? 0) - previousSize + blob.size),
+                    chunkCount: Math.max(request.result.chunkCount ?? 0, sequence + 1)
+                });
+            };
+        };
+    });
+    db.close();
+}
@@ -0,0 +1,277 @@
+// Trims a finished recording by playing the selected range back through a canvas and a
+// MediaStreamDestination and recording the result, the same pipeline the live recorder uses.
+// Re-recording runs in real time, so trimming takes as long as the kept range. Frames are drawn on
+// a timer and the end is detected from the element's own events, because animation frames stop
+// while the tab is hidden. MP4 recordings are re-encoded with the WebCodecs recorder where it is
+// available, so trimming keeps the container the live recording used.
+
+import { WebCodecsRecorder, selectWebCodecsConfig } from './webCodecsRecorder.js';
+
+const DEFAULT_FRAME_RATE = 30;
+const RECORDING_TIMESLICE_MS = 1000;
+
+function waitForEvent(target, eventName) {
+    return new Promise((resolve, reject) => {
+        const onResolve = () => {
+            cleanup();
+            resolve();
+        };
+
+        const onError = () => {
+            cleanup();
+            reject(new Error(`Failed while waiting for ${eventName}`));
+        };
+
+        const cleanup = () => {
+            target.removeEventListener(eventName, onResolve);
+            target.removeEventListener('error', onError);
+        };
+
+        target.addEventListener(eventName, onResolve, { once: true });
+        target.addEventListener('error', onError, { once: true });
+    });
+}
+
+function abortError() {
+    return new DOMException('Trimming was cancelled.', 'AbortError');
+}
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw abortError();
+    }
+}
+
+// Resolves once playback reaches the end of the range; rejects when the signal aborts
+function waitForRangeEnd(video, start, end, signal, onProgress) {
+    return new Promise((resolve, reject) => {
+        const onTimeUpdate = () => {
+            if (video.currentTime >= end) {
+                finish();
+                return;
+            }
+            onProgress?.((video.currentTime - start) / (end - start));
+        };
+
+        const onAbort = () => {
+            cleanup();
+            reject(abortError());
+        };
+
+        const finish = () => {
+            cleanup();
+            resolve();
+        };
+
+        const cleanup = () => {
+            video.removeEventListener('timeupdate', onTimeUpdate);
+            video.removeEventListener('ended', finish);
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        video.addEventListener('timeupdate', onTimeUpdate);
+        video.addEventListener('ended', finish);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function seek(video, seconds) {
+    video.currentTime = seconds;
+    await waitForEvent(video, 'seeked');
+}
+
+// MediaRecorder output has no duration in its header until the browser has scanned to the end,
+// so seek far past the end to make it compute one
+export async function resolveDuration(video) {
+    if (video.readyState < 1) {
+        await waitForEvent(video, 'loadedmetadata');
+    }
+    if (Number.isFinite(video.duration) && video.duration > 0) {
+        return video.duration;
+    }
+
+    const resumeAt = video.currentTime;
+    await seek(video, Number.MAX_SAFE_INTEGER);
+    const duration = video.duration;
+    await seek(video, resumeAt);
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error('Unable to determine the recording length.');
+    }
+    return duration;
+}
+
+export function normalizeRange(duration, startSeconds, endSeconds) {
+    const start = Math.max(0, Math.min(Number(startSeconds) || 0, duration));
+    const end = Math.max(0, Math.min(Number.isFinite(Number(endSeconds)) ? Number(endSeconds) : duration, duration));
+    if (end - start < 0.1) {
+        throw new Error('The trimmed recording must be at least a tenth of a second long.');
+    }
+    return { start, end };
+}
+
+function createPlaybackVideo(blob) {
+    const video = document.createElement('video');
+    video.preload = 'auto';
+    video.playsInline = true;
+    // Audio is taken from the decoded buffer below, which keeps playback allowed without a user gesture
+    video.muted = true;
+    video.src = URL.createObjectURL(blob);
+    return video;
+}
+
+function disposePlaybackVideo(video) {
+    const url = video.src;
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+}
+
+async function createAudioPipeline(blob, video) {
+    const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextCtor) {
+        return null;
+    }
+
+    const context = new AudioContextCtor();
+    const destination = context.createMediaStreamDestination();
+    try {
+        const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+        return {
+            context,
+            stream: destination.stream,
+            start: (offset, length) => {
+                const source = context.createBufferSource();
+                source.buffer = buffer;
+                source.connect(destination);
+                source.start(0, offset, length);
+            }
+        };
+    } catch (error) {
+        // Some containers cannot be decoded in one go; fall back to tapping the element's own output,
+        // which never reaches the speakers because the graph only feeds the destination
+        console.warn('Unable to decode recording audio, capturing playback instead', error);
+        video.muted = false;
+        context.createMediaElementSource(video).connect(destination);
+        return { context, stream: destination.stream, start: () => { } };
+    }
+}
+
+async function createRecorder(stream, canvas, options, mimeType) {
+    if (options.webCodecs && canvas) {
+        const config = await selectWebCodecsConfig({
+            width: canvas.width,
+            height: canvas.height,
+            frameRate: options.frameRate ?? DEFAULT_FRAME_RATE,
+            videoBitsPerSecond: options.videoBitsPerSecond,
+            audioBitsPerSecond: options.audioBitsPerSecond,
+            audioTrack: stream.getAudioTracks()[0] ?? null
+        });
+        if (config) {
+            return new WebCodecsRecorder(stream, config);
+        }
+    }
+
+    return new MediaRecorder(stream, {
+        ...(mimeType ? { mimeType } : {}),
+        ...(options.videoBitsPerSecond ? { videoBitsPerSecond: options.videoBitsPerSecond } : {}),
+        ...(options.audioBitsPerSecond ? { audioBitsPerSecond: options.audioBitsPerSecond } : {})
+    });
+}
+
+function selectRecorderMimeType(mimeType) {
+    if (mimeType && typeof MediaRecorder.isTypeSupported === 'function' && MediaRecorder.isTypeSupported(mimeType)) {
+        return mimeType;
+    }
+    return undefined;
+}
+
+// Resolves to a new Blob holding [startSeconds, endSeconds) of the source. Audio-only recordings are
+// re-recorded without a canvas. onProgress receives the fraction (0-1) of the range processed so far;
+// aborting options.signal stops the re-recording and rejects with an AbortError. options.webCodecs
+// asks for the WebCodecs recorder (fragmented MP4) when the browser supports it.
+export async function trimBlob(blob, startSeconds, endSeconds, options = {}) {
+    const { signal } = options;
+    throwIfAborted(signal);
+    const video = createPlaybackVideo(blob);
+    let audio = null;
+    let recorder = null;
+    let frameTimer = null;
+    const streams = [];
+
+    try {
+        const duration = await resolveDuration(video);
+        const { start, end } = normalizeRange(duration, startSeconds, endSeconds);
+        const hasVideo = video.videoWidth > 0 && video.videoHeight > 0;
+        const recordingStream = new MediaStream();
+
+        const frameRate = options.frameRate ?? DEFAULT_FRAME_RATE;
+        let drawFrame = () => { };
+        let canvas = null;
+        if (hasVideo) {
+            canvas = document.createElement('canvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            const context = canvas.getContext('2d');
+            drawFrame = () => context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            const canvasStream = canvas.captureStream(frameRate);
+            streams.push(canvasStream);
+            canvasStream.getVideoTracks().forEach((track) => recordingStream.addTrack(track));
+        }
+
+        audio = await createAudioPipeline(blob, video);
+        if (audio) {
+            streams.push(audio.stream);
+            audio.stream.getAudioTracks().forEach((track) => recordingStream.addTrack(track));
+        }
+
+        throwIfAborted(signal);
+        await seek(video, start);
+        drawFrame();
+
+        const mimeType = selectRecorderMimeType(options.mimeType || blob.type);
+        recorder = await createRecorder(recordingStream, canvas, options, mimeType);
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (event) => reject(event.error ?? new Error('Recording the trimmed range failed.'));
+        });
+
+        if (audio?.context.state === 'suspended') {
+            await audio.context.resume();
+        }
+        throwIfAborted(signal);
+        recorder.start(RECORDING_TIMESLICE_MS);
+        audio?.start(start, end - start);
+        await video.play();
+        frameTimer = setInterval(drawFrame, 1000 / frameRate);
+        await waitForRangeEnd(video, start, end, signal, options.onProgress);
+
+        video.pause();
+        recorder.stop();
+        await stopped;
+        // The WebCodecs recorder rewrites its init segment with the final duration on stop
+        if (recorder.finalizedHeader && chunks.length > 0) {
+            chunks[0] = recorder.finalizedHeader;
+        }
+        options.onProgress?.(1);
+        return new Blob(chunks, { type: recorder.mimeType || mimeType || blob.type });
+    } finally {
+        if (frameTimer) {
+            clearInterval(frameTimer);
+        }
+        if (recorder && recorder.state !== 'inactive') {
+            recorder.stop();
+        }
+        streams.forEach((stream) => stream.getTracks().forEach((track) => track.stop()));
+        if (audio) {
+            await audio.context.close().catch(() => { });
+        }
+        disposePlaybackVideo(video);
+    }
+}
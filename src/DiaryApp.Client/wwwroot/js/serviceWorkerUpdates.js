@@ -0,0 +1,126 @@
+import { UPDATE_DEFERRAL_LOCK, holdSharedLock, isLockHeld, waitForExclusiveLock } from './tabCoordinator.js';
+
+const listeners = new Set();
+let watching = null;
+let waitingWorker = null;
+let deferrals = 0;
+let updateRequested = false;
+let reloadPending = false;
+let reloading = false;
+
+function notifyUpdateAvailable(worker) {
+    waitingWorker = worker;
+    listeners.forEach((listener) => {
+        try {
+            listener();
+        } catch (error) {
+            console.warn('Update listener failed', error);
+        }
+    });
+}
+
+function reload() {
+    if (reloading) {
+        return;
+    }
+    if (deferrals > 0) {
+        // Only reachable without Web Locks, when another tab applied the update while this one was busy
+        reloadPending = true;
+        return;
+    }
+    reloading = true;
+    window.location.reload();
+}
+
+function watchRegistration() {
+    if (!watching) {
+        watching = navigator.serviceWorker.ready.then((registration) => {
+            // With no controller this is the first install, which activates on its own
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                notifyUpdateAvailable(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        notifyUpdateAvailable(worker);
+                    }
+                });
+            });
+
+            navigator.serviceWorker.addEventListener('controllerchange', reload);
+        }).catch((error) => console.warn('Unable to watch for app updates:', error));
+    }
+    return watching;
+}
+
+export function onUpdateAvailable(callback) {
+    if (!('serviceWorker' in navigator)) {
+        return () => { };
+    }
+
+    listeners.add(callback);
+    watchRegistration().then(() => {
+        if (waitingWorker && listeners.has(callback)) {
+            callback();
+        }
+    });
+    return () => listeners.delete(callback);
+}
+
+export function watchForUpdates(dotNetRef) {
+    const unsubscribe = onUpdateAvailable(() => {
+        dotNetRef.invokeMethodAsync('OnUpdateAvailable')
+            .catch((error) => console.warn('Failed to report app update', error));
+    });
+    return { dispose: unsubscribe };
+}
+
+function activateWaitingWorker() {
+    // Waits until no tab is recording or uploading, then lets the new worker take over
+    return waitForExclusiveLock(UPDATE_DEFERRAL_LOCK, () => {
+        if (deferrals === 0) {
+            waitingWorker?.postMessage({ type: 'skip-waiting' });
+        }
+    });
+}
+
+// Returns 'none' when there is nothing to install, 'deferred' when a recording or upload in any
+// tab holds the update back (it applies automatically once they finish), otherwise 'applying'.
+export async function applyUpdate() {
+    if (!waitingWorker) {
+        return 'none';
+    }
+
+    updateRequested = true;
+    const busy = deferrals > 0 || await isLockHeld(UPDATE_DEFERRAL_LOCK);
+    if (deferrals === 0) {
+        activateWaitingWorker().catch((error) => console.warn('Failed to apply app update', error));
+    }
+    return busy ? 'deferred' : 'applying';
+}
+
+// Call while a recording or upload runs; the returned function ends the deferral
+export function deferUpdates() {
+    deferrals += 1;
+    const releaseShared = holdSharedLock(UPDATE_DEFERRAL_LOCK);
+    let released = false;
+
+    return () => {
+        if (released) {
+            return;
+        }
+        released = true;
+        deferrals -= 1;
+        releaseShared?.();
+
+        if (deferrals === 0) {
+            if (reloadPending) {
+                reload();
+            } else if (updateRequested) {
+                activateWaitingWorker().catch((error) => console.warn('Failed to apply app update', error));
+            }
+        }
+    };
+}
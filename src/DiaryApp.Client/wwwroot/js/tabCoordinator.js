@@ -0,0 +1,175 @@
+// Cross-tab coordination: BroadcastChannel for change notifications and Web Locks for exclusive
+// ownership. Browsers without Web Locks fall back to short localStorage leases that expire when
+// the owning tab stops renewing them (e.g. because it was closed).
+
+const CHANNEL_NAME = 'diaryapp-coordination';
+const LEASE_PREFIX = 'DiaryApp.Lock.';
+const LEASE_DURATION_MS = 10_000;
+const LEASE_RENEW_MS = 3_000;
+
+export const RECORDER_LOCK = 'diaryapp-recorder';
+export const UPDATE_DEFERRAL_LOCK = 'diaryapp-update-deferral';
+
+export function recordingLockName(id) {
+    return `diaryapp-recording:${id}`;
+}
+
+export function outgoingEntryLockName(id) {
+    return `diaryapp-outgoing:${id}`;
+}
+
+export const tabId = typeof crypto?.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+const listeners = new Set();
+let channel = null;
+
+function getChannel() {
+    if (!channel && typeof BroadcastChannel === 'function') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => {
+            listeners.forEach((listener) => {
+                try {
+                    listener(event.data);
+                } catch (error) {
+                    console.warn('Cross-tab listener failed', error);
+                }
+            });
+        };
+    }
+    return channel;
+}
+
+// Messages never echo back to the sending tab
+export function broadcast(type, detail = {}) {
+    try {
+        getChannel()?.postMessage({ ...detail, type, tabId });
+    } catch (error) {
+        console.warn('Failed to broadcast to other tabs', error);
+    }
+}
+
+export function subscribe(listener) {
+    getChannel();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// ============ Locks ============
+
+function supportsWebLocks() {
+    return typeof navigator?.locks?.request === 'function';
+}
+
+function acquireWebLock(name) {
+    return new Promise((resolve, reject) => {
+        navigator.locks.request(name, { ifAvailable: true }, (lock) => {
+            if (!lock) {
+                resolve(null);
+                return undefined;
+            }
+            // The lock is held until the returned promise settles
+            return new Promise((release) => resolve(() => release()));
+        }).catch(reject);
+    });
+}
+
+function leaseKey(name) {
+    return `${LEASE_PREFIX}${name}`;
+}
+
+function readLease(name) {
+    try {
+        const value = localStorage.getItem(leaseKey(name));
+        return value ? JSON.parse(value) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isLeaseHeldElsewhere(name) {
+    const lease = readLease(name);
+    return !!lease && lease.owner !== tabId && lease.expiresAt > Date.now();
+}
+
+// Best effort only: two tabs racing within the same tick can both win
+function acquireLease(name) {
+    if (isLeaseHeldElsewhere(name)) {
+        return null;
+    }
+
+    const renew = () => {
+        try {
+            localStorage.setItem(leaseKey(name), JSON.stringify({ owner: tabId, expiresAt: Date.now() + LEASE_DURATION_MS }));
+        } catch (error) {
+            console.warn('Failed to renew lock lease', error);
+        }
+    };
+    renew();
+    const timer = setInterval(renew, LEASE_RENEW_MS);
+    return () => {
+        clearInterval(timer);
+        if (readLease(name)?.owner === tabId) {
+            localStorage.removeItem(leaseKey(name));
+        }
+    };
+}
+
+// Resolves to a release function, or null when another tab holds the lock
+export async function tryAcquireLock(name) {
+    if (supportsWebLocks()) {
+        try {
+            return await acquireWebLock(name);
+        } catch (error) {
+            console.warn('Web Locks request failed, falling back to a lease', error);
+        }
+    }
+
+    try {
+        return acquireLease(name);
+    } catch (error) {
+        // No storage either (e.g. some private modes): coordination is unavailable
+        console.warn('Cross-tab locking is unavailable', error);
+        return () => { };
+    }
+}
+
+// Shared holds let several tabs block a single exclusive waiter (see waitForExclusiveLock).
+// Returns a release function, or null when Web Locks are unavailable.
+export function holdSharedLock(name) {
+    if (!supportsWebLocks()) {
+        return null;
+    }
+
+    let release;
+    const held = new Promise((resolve) => {
+        release = resolve;
+    });
+    navigator.locks.request(name, { mode: 'shared' }, () => held)
+        .catch((error) => console.warn('Failed to hold shared lock', error));
+    return () => release();
+}
+
+// Runs fn once no tab holds the lock in any mode. Without Web Locks fn runs right away.
+export function waitForExclusiveLock(name, fn) {
+    if (!supportsWebLocks()) {
+        return Promise.resolve().then(fn);
+    }
+    return navigator.locks.request(name, { mode: 'exclusive' }, () => fn());
+}
+
+// Reports locks held by any tab (including this one) or by the service worker
+export async function isLockHeld(name) {
+    if (supportsWebLocks() && typeof navigator.locks.query === 'function') {
+        try {
+            const { held = [] } = await navigator.locks.query();
+            return held.some((lock) => lock.name === name);
+        } catch (error) {
+            console.warn('Failed to query Web Locks', error);
+        }
+    }
+
+    const lease = readLease(name);
+    return !!lease && lease.expiresAt > Date.now();
+}
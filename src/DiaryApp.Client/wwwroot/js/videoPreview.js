@@ -1,3 +1,11 @@
+import * as filmstripStore from './filmstripStore.js';
+import { fixWebmMetadata } from './webmMetadata.js';
+
+const FILMSTRIP_TILE_WIDTH = 160;
+const FILMSTRIP_TILE_HEIGHT = 90;
+const DEFAULT_FILMSTRIP_FRAMES = 10;
+const MAX_FILMSTRIP_FRAMES = 100;
+
 async function waitForEvent(target, eventName) {
     return new Promise((resolve, reject) => {
         const onResolve = () => {
@@ -20,21 +28,109 @@ async function waitForEvent(target, eventName) {
     });
 }
 
-export async function generatePreview(imageElement, videoUrl, second = 5) {
-    if (!imageElement || !videoUrl) {
-        return;
-    }
-
+function createProbeVideo(videoUrl) {
     const video = document.createElement('video');
     video.crossOrigin = 'anonymous';
     video.preload = 'auto';
     video.muted = true;
     video.playsInline = true;
     video.src = videoUrl;
+    return video;
+}
+
+// ============ Seekable sources ============
+
+const seekableSources = new Map();
+
+async function probeDuration(videoUrl) {
+    const video = createProbeVideo(videoUrl);
+    video.preload = 'metadata';
+    try {
+        await waitForEvent(video, 'loadedmetadata');
+        return video.duration;
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+    }
+}
+
+async function createSeekableUrl(videoUrl) {
+    const duration = await probeDuration(videoUrl).catch(() => NaN);
+    if (Number.isFinite(duration) && duration > 0) {
+        return videoUrl;
+    }
+
+    // Entries recorded before WebM output was post-processed have no duration or cues
+    const response = await fetch(videoUrl, { credentials: 'same-origin' });
+    if (!response.ok) {
+        return videoUrl;
+    }
+    const blob = await response.blob();
+    const fixed = await fixWebmMetadata(blob);
+    return fixed === blob ? videoUrl : URL.createObjectURL(fixed);
+}
+
+// Resolves to a URL the browser can seek in: videoUrl itself, or an object URL for a repaired copy
+// when the stored recording is a WebM without duration and cues. Repairing downloads the whole file,
+// so only playback uses this; thumbnails seek in videoUrl directly. Every call must be paired with
+// releaseSeekableUrl once the player is gone, which revokes the copy when nobody else uses it.
+export function getSeekableUrl(videoUrl) {
+    let source = seekableSources.get(videoUrl);
+    if (!source) {
+        source = {
+            users: 0,
+            url: createSeekableUrl(videoUrl).catch((error) => {
+                console.warn('Unable to repair video metadata', error);
+                return videoUrl;
+            })
+        };
+        seekableSources.set(videoUrl, source);
+    }
+
+    source.users += 1;
+    return source.url;
+}
+
+export function releaseSeekableUrl(videoUrl) {
+    const source = seekableSources.get(videoUrl);
+    if (!source) {
+        return;
+    }
+
+    source.users -= 1;
+    if (source.users > 0) {
+        return;
+    }
+
+    seekableSources.delete(videoUrl);
+    source.url.then((url) => {
+        if (url !== videoUrl) {
+            URL.revokeObjectURL(url);
+        }
+    });
+}
+
+function captureFrame(video) {
+    const width = video.videoWidth || 640;
+    const height = video.videoHeight || 360;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.drawImage(video, 0, 0, width, height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+export async function generatePreview(imageElement, videoUrl, second = 5) {
+    if (!imageElement || !videoUrl) {
+        return;
+    }
+
+    const video = createProbeVideo(videoUrl);
 
     try {
         await waitForEvent(video, 'loadeddata');
-        const targetSecond = Math.max(0, Math.min(second, (video.duration || second) - 0.1));
+        const targetSecond = Math.max(0, Math.min(second, (Number.isFinite(video.duration) ? video.duration : second) - 0.1));
         if (!Number.isFinite(targetSecond) || targetSecond < 0) {
             throw new Error('Invalid preview second.');
         }
@@ -46,19 +142,409 @@ export async function generatePreview(imageElement, videoUrl, second = 5) {
         video.currentTime = targetSecond;
         await waitForEvent(video, 'seeked');
 
-        const width = video.videoWidth || 640;
-        const height = video.videoHeight || 360;
+        imageElement.src = captureFrame(video);
+    } catch (error) {
+        console.warn('Failed to create video preview', error);
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+    }
+}
+
+// A live-streamed recording that could not be repaired reports an infinite duration until the
+// browser has seen the end, so seek far past it to make the browser compute the real length
+async function resolveDuration(video) {
+    if (Number.isFinite(video.duration) && video.duration > 0) {
+        return video.duration;
+    }
+
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+    await waitForEvent(video, 'seeked');
+    const duration = video.duration;
+    video.currentTime = 0;
+    await waitForEvent(video, 'seeked');
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error('Unable to determine the video duration.');
+    }
+    return duration;
+}
+
+function formatVttTime(seconds) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3_600_000);
+    const minutes = Math.floor((totalMs % 3_600_000) / 60_000);
+    const secs = Math.floor((totalMs % 60_000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+function buildVtt(frames, spriteName = 'sprite.jpg') {
+    const cues = frames.map((frame) =>
+        `${formatVttTime(frame.start)} --> ${formatVttTime(frame.end)}\n${spriteName}#xywh=${frame.x},${frame.y},${frame.width},${frame.height}`);
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+function drawTile(context, video, x, y) {
+    // Crop like object-fit: cover so tiles line up with the 16:9 preview image
+    const sourceWidth = video.videoWidth || FILMSTRIP_TILE_WIDTH;
+    const sourceHeight = video.videoHeight || FILMSTRIP_TILE_HEIGHT;
+    const scale = Math.max(FILMSTRIP_TILE_WIDTH / sourceWidth, FILMSTRIP_TILE_HEIGHT / sourceHeight);
+    const cropWidth = FILMSTRIP_TILE_WIDTH / scale;
+    const cropHeight = FILMSTRIP_TILE_HEIGHT / scale;
+    context.drawImage(
+        video,
+        (sourceWidth - cropWidth) / 2,
+        (sourceHeight - cropHeight) / 2,
+        cropWidth,
+        cropHeight,
+        x,
+        y,
+        FILMSTRIP_TILE_WIDTH,
+        FILMSTRIP_TILE_HEIGHT);
+}
+
+function normalizeFrameCount(count) {
+    return Math.max(1, Math.min(MAX_FILMSTRIP_FRAMES, Math.floor(count) || DEFAULT_FILMSTRIP_FRAMES));
+}
+
+// Extracts `count` evenly spaced frames into one JPEG sprite sheet plus a WebVTT thumbnail index
+export async function generateFilmstrip(videoUrl, count = DEFAULT_FILMSTRIP_FRAMES) {
+    const frameCount = normalizeFrameCount(count);
+    const video = createProbeVideo(videoUrl);
+
+    try {
+        await waitForEvent(video, 'loadedmetadata');
+        const duration = await resolveDuration(video);
+        const columns = Math.ceil(Math.sqrt(frameCount));
+        const rows = Math.ceil(frameCount / columns);
         const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
+        canvas.width = columns * FILMSTRIP_TILE_WIDTH;
+        canvas.height = rows * FILMSTRIP_TILE_HEIGHT;
         const context = canvas.getContext('2d');
-        context.drawImage(video, 0, 0, width, height);
-        const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
-        imageElement.src = dataUrl;
+        const segment = duration / frameCount;
+        const frames = [];
+
+        for (let index = 0; index < frameCount; index += 1) {
+            // Sample the middle of each segment, which avoids black first frames
+            video.currentTime = Math.min(duration - 0.05, segment * (index + 0.5));
+            await waitForEvent(video, 'seeked');
+
+            const x = (index % columns) * FILMSTRIP_TILE_WIDTH;
+            const y = Math.floor(index / columns) * FILMSTRIP_TILE_HEIGHT;
+            drawTile(context, video, x, y);
+            frames.push({
+                start: segment * index,
+                end: segment * (index + 1),
+                x,
+                y,
+                width: FILMSTRIP_TILE_WIDTH,
+                height: FILMSTRIP_TILE_HEIGHT
+            });
+        }
+
+        const sprite = await new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode the sprite sheet.'))), 'image/jpeg', 0.7);
+        });
+
+        return {
+            sprite,
+            vtt: buildVtt(frames),
+            frames,
+            columns,
+            rows,
+            tileWidth: FILMSTRIP_TILE_WIDTH,
+            tileHeight: FILMSTRIP_TILE_HEIGHT,
+            duration
+        };
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+    }
+}
+
+// Returns the entry's filmstrip from IndexedDB, generating and storing it on first use
+export async function getFilmstrip(entryId, videoUrl, count = DEFAULT_FILMSTRIP_FRAMES) {
+    if (filmstripStore.isSupported()) {
+        try {
+            const cached = await filmstripStore.getFilmstrip(entryId);
+            if (cached && cached.frames?.length === normalizeFrameCount(count)) {
+                return cached;
+            }
+        } catch (error) {
+            console.warn('Unable to read cached filmstrip', error);
+        }
+    }
+
+    const filmstrip = await generateFilmstrip(videoUrl, count);
+    if (filmstripStore.isSupported()) {
+        await filmstripStore.saveFilmstrip(entryId, filmstrip)
+            .catch((error) => console.warn('Unable to cache filmstrip', error));
+    }
+    return filmstrip;
+}
+
+// Shows the sprite frame under the pointer in `element`, an overlay on the preview image. Pointer
+// events are taken from the overlay's parent so the overlay itself can ignore them. The filmstrip
+// is loaded lazily on the first hover.
+export function attachHoverScrub(element, entryId, videoUrl, count = DEFAULT_FILMSTRIP_FRAMES) {
+    if (!element || !videoUrl) {
+        return { dispose: () => { } };
+    }
+
+    let filmstrip = null;
+    let spriteUrl = null;
+    let loading = null;
+    let disposed = false;
+    let hovering = false;
+    let pointerX = 0;
+    const surface = element.parentElement ?? element;
+
+    const load = () => {
+        loading ??= getFilmstrip(entryId, videoUrl, count)
+            .then((result) => {
+                if (disposed) {
+                    return;
+                }
+                filmstrip = result;
+                spriteUrl = URL.createObjectURL(result.sprite);
+                element.style.backgroundImage = `url("${spriteUrl}")`;
+            })
+            .catch((error) => console.warn('Failed to create filmstrip', error));
+        return loading;
+    };
+
+    const showFrame = (clientX) => {
+        if (!filmstrip) {
+            return;
+        }
+
+        const bounds = element.getBoundingClientRect();
+        const fraction = Math.min(0.9999, Math.max(0, (clientX - bounds.left) / bounds.width));
+        const frame = filmstrip.frames[Math.floor(fraction * filmstrip.frames.length)];
+        const scaleX = bounds.width / filmstrip.tileWidth;
+        const scaleY = bounds.height / filmstrip.tileHeight;
+        element.style.backgroundSize = `${filmstrip.columns * bounds.width}px ${filmstrip.rows * bounds.height}px`;
+        element.style.backgroundPosition = `${-frame.x * scaleX}px ${-frame.y * scaleY}px`;
+        element.classList.add('is-scrubbing');
+    };
+
+    const onPointerEnter = (event) => {
+        hovering = true;
+        pointerX = event.clientX;
+        // The first load can finish after the pointer has already left
+        load().then(() => {
+            if (hovering) {
+                showFrame(pointerX);
+            }
+        });
+    };
+    const onPointerMove = (event) => {
+        pointerX = event.clientX;
+        showFrame(event.clientX);
+    };
+    const onPointerLeave = () => {
+        hovering = false;
+        element.classList.remove('is-scrubbing');
+    };
+
+    surface.addEventListener('pointerenter', onPointerEnter);
+    surface.addEventListener('pointermove', onPointerMove);
+    surface.addEventListener('pointerleave', onPointerLeave);
+
+    return {
+        dispose: () => {
+            disposed = true;
+            surface.removeEventListener('pointerenter', onPointerEnter);
+            surface.removeEventListener('pointermove', onPointerMove);
+            surface.removeEventListener('pointerleave', onPointerLeave);
+            if (spriteUrl) {
+                URL.revokeObjectURL(spriteUrl);
+            }
+        }
+    };
+}
+
+// Candidate frames are scored on a small copy; large enough for FaceDetector to find a face
+const ANALYSIS_WIDTH = 320;
+const ANALYSIS_HEIGHT = 180;
+const DEFAULT_PREVIEW_CANDIDATES = 8;
+// Mean luminance (0-255) outside this range means a black frame, a covered lens or a blown-out shot
+const MIN_USABLE_LUMINANCE = 25;
+const MAX_USABLE_LUMINANCE = 235;
+const MIN_USABLE_CONTRAST = 8;
+
+let faceDetector;
+
+function getFaceDetector() {
+    if (faceDetector === undefined) {
+        try {
+            faceDetector = typeof FaceDetector === 'function'
+                ? new FaceDetector({ maxDetectedFaces: 1, fastMode: true })
+                : null;
+        } catch (error) {
+            faceDetector = null;
+        }
+    }
+    return faceDetector;
+}
+
+function measureFrame(context) {
+    const { data } = context.getImageData(0, 0, ANALYSIS_WIDTH, ANALYSIS_HEIGHT);
+    const luminance = new Float32Array(ANALYSIS_WIDTH * ANALYSIS_HEIGHT);
+    let sum = 0;
+    for (let i = 0, p = 0; i < luminance.length; i += 1, p += 4) {
+        const value = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+        luminance[i] = value;
+        sum += value;
+    }
+
+    const mean = sum / luminance.length;
+    let squares = 0;
+    for (let i = 0; i < luminance.length; i += 1) {
+        squares += (luminance[i] - mean) ** 2;
+    }
+
+    // Variance of the Laplacian: motion blur and out-of-focus frames have few strong edges
+    let laplacianSum = 0;
+    let laplacianSquares = 0;
+    let samples = 0;
+    for (let y = 1; y < ANALYSIS_HEIGHT - 1; y += 1) {
+        for (let x = 1; x < ANALYSIS_WIDTH - 1; x += 1) {
+            const i = y * ANALYSIS_WIDTH + x;
+            const value = luminance[i - 1] + luminance[i + 1] + luminance[i - ANALYSIS_WIDTH] + luminance[i + ANALYSIS_WIDTH] - 4 * luminance[i];
+            laplacianSum += value;
+            laplacianSquares += value * value;
+            samples += 1;
+        }
+    }
+    const laplacianMean = laplacianSum / samples;
+
+    return {
+        luminance: mean,
+        contrast: Math.sqrt(squares / luminance.length),
+        sharpness: laplacianSquares / samples - laplacianMean * laplacianMean
+    };
+}
+
+async function hasFace(canvas) {
+    const detector = getFaceDetector();
+    if (!detector) {
+        return false;
+    }
+
+    try {
+        return (await detector.detect(canvas)).length > 0;
     } catch (error) {
-        console.warn('Failed to create video preview', error);
+        return false;
+    }
+}
+
+function scoreFrame({ luminance, contrast, sharpness }, faceFound) {
+    const exposure = 1 - Math.abs(luminance - 128) / 128;
+    const spread = Math.min(1, contrast / 64);
+    const detail = Math.min(1, Math.sqrt(sharpness) / 32);
+    let score = 0.25 * exposure + 0.25 * spread + 0.5 * detail;
+    if (luminance < MIN_USABLE_LUMINANCE || luminance > MAX_USABLE_LUMINANCE || contrast < MIN_USABLE_CONTRAST) {
+        score *= 0.1;
+    }
+    return faceFound ? score + 0.5 : score;
+}
+
+// Samples evenly spaced candidate frames, scores them on exposure, contrast, sharpness and (where the
+// browser has FaceDetector) face presence, and shows the best one. Resolves to the chosen second so
+// it can be stored with the entry, or null when the video could not be analysed; in that case the
+// frame at fallbackSecond is shown instead.
+export async function generateBestPreview(imageElement, videoUrl, fallbackSecond = 5, candidateCount = DEFAULT_PREVIEW_CANDIDATES) {
+    if (!imageElement || !videoUrl) {
+        return null;
+    }
+
+    const video = createProbeVideo(videoUrl);
+    let best = null;
+
+    try {
+        await waitForEvent(video, 'loadedmetadata');
+        const duration = await resolveDuration(video);
+        const canvas = document.createElement('canvas');
+        canvas.width = ANALYSIS_WIDTH;
+        canvas.height = ANALYSIS_HEIGHT;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        const count = Math.max(1, Math.floor(candidateCount) || DEFAULT_PREVIEW_CANDIDATES);
+
+        for (let index = 0; index < count; index += 1) {
+            const second = Math.min(duration - 0.1, duration * (index + 0.5) / count);
+            video.currentTime = Math.max(0, second);
+            await waitForEvent(video, 'seeked');
+
+            context.drawImage(video, 0, 0, ANALYSIS_WIDTH, ANALYSIS_HEIGHT);
+            const score = scoreFrame(measureFrame(context), await hasFace(canvas));
+            if (!best || score > best.score) {
+                best = { second: video.currentTime, score };
+            }
+        }
+
+        if (video.currentTime !== best.second) {
+            video.currentTime = best.second;
+            await waitForEvent(video, 'seeked');
+        }
+        imageElement.src = captureFrame(video);
+        return Math.round(best.second * 1000) / 1000;
+    } catch (error) {
+        console.warn('Failed to pick a preview frame', error);
     } finally {
         video.removeAttribute('src');
         video.load();
     }
+
+    await generatePreview(imageElement, videoUrl, fallbackSecond);
+    return null;
+}
+
+// ============ Preview analysis queue ============
+
+// Picking a frame seeks through the whole video, so a page full of entries without a stored choice
+// must not analyse them all at once: each waits until its preview is near the viewport, then takes
+// its turn in a queue that runs one analysis at a time.
+let analysisQueue = Promise.resolve();
+
+function whenVisible(element) {
+    if (typeof IntersectionObserver !== 'function') {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) {
+                observer.disconnect();
+                resolve();
+            }
+        }, { rootMargin: '200px' });
+        observer.observe(element);
+    });
+}
+
+export async function queueBestPreview(imageElement, videoUrl, fallbackSecond = 5) {
+    if (!imageElement || !videoUrl) {
+        return null;
+    }
+
+    // Blazor reuses the image for another entry when the list changes (data-preview-url follows it),
+    // so the frame is picked off-screen and only shown if the image still belongs to this video
+    const isCurrent = () => imageElement.isConnected && imageElement.dataset.previewUrl === videoUrl;
+    await whenVisible(imageElement);
+    const turn = analysisQueue.then(async () => {
+        if (!isCurrent()) {
+            return null;
+        }
+
+        const target = {};
+        const second = await generateBestPreview(target, videoUrl, fallbackSecond);
+        if (target.src && isCurrent()) {
+            imageElement.src = target.src;
+        }
+        return second;
+    });
+    analysisQueue = turn.catch(() => null);
+    return turn;
 }
@@ -1,3 +1,23 @@
+import * as recordingStore from './recordingStore.js';
+import { defaultEffects, drawFrame, normalizeEffects } from './canvasEffects.js';
+import { fitScreenCapture, fitToProfile, listQualityProfiles, resolveQualityProfile } from './qualityProfiles.js';
+import { attachBubbleControls, createHiddenVideo, drawBubble, normalizeLayout } from './pictureInPicture.js';
+import { RECORDER_LOCK, broadcast, isLockHeld, recordingLockName, tryAcquireLock } from './tabCoordinator.js';
+import { deferUpdates } from './serviceWorkerUpdates.js';
+import { resolveDuration, trimBlob } from './recordingTrimmer.js';
+import { WebCodecsRecorder, selectWebCodecsConfig } from './webCodecsRecorder.js';
+import { fixWebmMetadata } from './webmMetadata.js';
+import {
+    applyProcessingConstraints,
+    buildProcessingConstraints,
+    createProcessingChain,
+    defaultAudioProcessing,
+    normalizeAudioProcessing
+} from './audioProcessing.js';
+import { createLevelAnalyser, meterFraction, normalizeMeterScale } from './audioLevels.js';
+import { listDevices, watchDevices } from './mediaDevices.js';
+import { normalizeFacingMode, resolveDeviceSelection } from './devicePreferences.js';
+
 let mediaRecorder;
 let recordingStream;
 let recordedChunks = [];
@@ -14,6 +34,42 @@ let canvasAnimationId;
 let audioContext;
 let audioDestination;
 let audioSources = [];
+let audioProcessingChain = null;
+let activeAudioProcessing = defaultAudioProcessing();
+// Per-source gains of the screen/microphone mix, and the raw microphone tracks for constraint updates
+let mixerGains = null;
+let microphoneTracks = [];
+// What the current capture was opened with, so a lost device can be replaced through switchSource
+let captureContext = null;
+let pendingRecoveries = new Set();
+let recoveryRunning = false;
+let deviceWatch = null;
+let activeEffects = defaultEffects();
+let renderSourceElement = null;
+let compositeState = null;
+let pipLayout = normalizeLayout();
+let activeProfile = resolveQualityProfile();
+let captureSettings = {};
+let audioOnlyMode = false;
+let persistedRecordingId = null;
+let persistedChunkSequence = 0;
+let persistQueue = Promise.resolve();
+// Release functions for the cross-tab locks on the camera and on the persisted recording
+let releaseRecorderLock = null;
+let releaseRecordingLock = null;
+let releaseUpdateDeferral = null;
+let recordedBytes = 0;
+let recordingStartedAt = null;
+let recordingStoppedAt = null;
+let pausedAt = null;
+let pausedDurationMs = 0;
+let trimPreview = null;
+let trimController = null;
+
+// Chunks are flushed every second so a crash loses at most the last slice
+const RECORDING_TIMESLICE_MS = 1000;
+// Silence and clipping are measured on a timer because animation frames stop in hidden tabs
+const LEVEL_POLL_MS = 50;
 
 const preferredMimeTypes = [
     'video/webm;codecs=vp9,opus',
@@ -24,41 +80,68 @@ const preferredMimeTypes = [
     'video/webm'
 ];
 
+const preferredAudioMimeTypes = [
+    'audio/webm;codecs=opus',
+    'audio/mp4',
+    'audio/ogg;codecs=opus',
+    'audio/webm'
+];
+
+// getUserMedia errors that mean "no usable camera" rather than "user refused"
+const VIDEO_UNAVAILABLE_ERRORS = new Set(['NotFoundError', 'DevicesNotFoundError', 'NotReadableError', 'OverconstrainedError']);
+
 const vuMeterState = {
     container: null,
     fill: null,
+    peak: null,
+    levels: null,
     audioContext: null,
     analyser: null,
     gainNode: null,
     dataArray: null,
     source: null,
-    rafId: null
+    lastLevels: null,
+    rafId: null,
+    levelTimer: null,
+    start: null
 };
 
-function selectMimeType() {
+function selectMimeType(candidates = preferredMimeTypes, fallback = 'video/webm') {
     if (typeof MediaRecorder === 'undefined') {
-        return recordingMimeType;
+        return fallback;
     }
 
-    for (const type of preferredMimeTypes) {
+    for (const type of candidates) {
         if (MediaRecorder.isTypeSupported(type)) {
             return type;
         }
     }
 
-    return recordingMimeType;
+    return fallback;
 }
 
 function buildAudioConstraints(options) {
-    return options?.microphoneDeviceId && options.microphoneDeviceId !== 'default'
-        ? { deviceId: { exact: options.microphoneDeviceId } }
-        : true;
+    const audio = buildProcessingConstraints(activeAudioProcessing);
+    if (options?.microphoneDeviceId && options.microphoneDeviceId !== 'default') {
+        audio.deviceId = { exact: options.microphoneDeviceId };
+    }
+    return audio;
 }
 
 function buildCameraConstraints(options) {
-    const video = options?.cameraDeviceId && options.cameraDeviceId !== 'default'
-        ? { deviceId: { exact: options.cameraDeviceId } }
-        : true;
+    const profile = resolveQualityProfile(options?.qualityProfile);
+    const video = {
+        width: { ideal: profile.width },
+        height: { ideal: profile.height },
+        frameRate: { ideal: profile.frameRate }
+    };
+    const facingMode = normalizeFacingMode(options?.cameraFacingMode);
+    if (options?.cameraDeviceId && options.cameraDeviceId !== 'default') {
+        video.deviceId = { exact: options.cameraDeviceId };
+    } else if (facingMode) {
+        // Phones pick the lens by direction; desktops ignore an ideal facing mode
+        video.facingMode = options.requireFacingMode ? { exact: facingMode } : { ideal: facingMode };
+    }
 
     return {
         video,
@@ -67,32 +150,75 @@ function buildCameraConstraints(options) {
 }
 
 async function createCaptureStream(options, captureScreen) {
+    // Stored device IDs may have been rotated by the browser since they were saved
+    options = await resolveDeviceSelection(options);
+    if (options?.audioOnly) {
+        return createAudioCaptureStream(options);
+    }
+
     if (captureScreen) {
         return createScreenCaptureStream(options);
     }
 
-    const stream = await navigator.mediaDevices.getUserMedia(buildCameraConstraints(options));
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia(buildCameraConstraints(options));
+    } catch (error) {
+        if (options?.allowAudioOnlyFallback && VIDEO_UNAVAILABLE_ERRORS.has(error?.name)) {
+            console.warn('Camera unavailable, falling back to an audio-only recording', error);
+            return createAudioCaptureStream(options);
+        }
+        throw error;
+    }
+
+    const cleanups = [
+        () => stream.getTracks().forEach((track) => track.stop())
+    ];
+    return { stream, cleanups, microphoneTracks: stream.getAudioTracks(), audioOnly: false };
+}
+
+async function createAudioCaptureStream(options) {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints(options) });
     const cleanups = [
         () => stream.getTracks().forEach((track) => track.stop())
     ];
-    return { stream, cleanups };
+    return { stream, cleanups, microphoneTracks: stream.getAudioTracks(), audioOnly: true };
 }
 
 async function createScreenCaptureStream(options) {
     const cleanups = [];
-    const displayStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+    const profile = resolveQualityProfile(options?.qualityProfile);
+    const displayStream = await navigator.mediaDevices.getDisplayMedia({
+        video: { frameRate: { ideal: profile.frameRate } },
+        audio: true
+    });
     cleanups.push(() => displayStream.getTracks().forEach((track) => track.stop()));
 
-    let microphoneStream = null;
-    try {
-        microphoneStream = await navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints(options) });
-        cleanups.push(() => microphoneStream.getTracks().forEach((track) => track.stop()));
-    } catch (error) {
-        console.warn('Unable to access microphone during screen capture', error);
+    const microphoneStream = await requestScreenCompanionStream(options, cleanups);
+    const stream = await composeScreenStream(displayStream, microphoneStream, cleanups);
+    const cameraTracks = microphoneStream?.getVideoTracks() ?? [];
+    const cameraStream = cameraTracks.length > 0 ? new MediaStream(cameraTracks) : null;
+    const microphoneTracks = microphoneStream?.getAudioTracks() ?? [];
+    return { stream, cleanups, cameraStream, microphoneTracks, audioOnly: false, screen: true };
+}
+
+async function requestScreenCompanionStream(options, cleanups) {
+    // In picture-in-picture mode the webcam rides along with the microphone request
+    const attempts = options?.pictureInPicture?.enabled
+        ? [buildCameraConstraints(options), { audio: buildAudioConstraints(options) }]
+        : [{ audio: buildAudioConstraints(options) }];
+
+    for (const constraints of attempts) {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia(constraints);
+            cleanups.push(() => stream.getTracks().forEach((track) => track.stop()));
+            return stream;
+        } catch (error) {
+            console.warn(constraints.video ? 'Unable to access webcam during screen capture' : 'Unable to access microphone during screen capture', error);
+        }
     }
 
-    const stream = await composeScreenStream(displayStream, microphoneStream, cleanups);
-    return { stream, cleanups };
+    return null;
 }
 
 async function composeScreenStream(displayStream, microphoneStream, cleanups) {
@@ -134,25 +260,40 @@ async function createMixedAudioTrack(displayStream, microphoneStream, cleanups)
     const destination = audioContext.createMediaStreamDestination();
     cleanups.push(() => destination.stream.getTracks().forEach((track) => track.stop()));
 
-    const connectTracks = (tracks) => {
+    const connectTracks = (tracks, level) => {
         if (!tracks || tracks.length === 0) {
-            return;
+            return null;
         }
         const tempStream = new MediaStream();
         tracks.forEach((track) => tempStream.addTrack(track));
         const source = audioContext.createMediaStreamSource(tempStream);
+        const gain = audioContext.createGain();
+        gain.gain.value = level;
         cleanups.push(() => {
             try {
                 source.disconnect();
+                gain.disconnect();
             } catch (error) {
                 console.warn('Failed to disconnect audio source', error);
             }
         });
-        source.connect(destination);
+        source.connect(gain);
+        gain.connect(destination);
+        return gain;
     };
 
-    connectTracks(displayAudioTracks);
-    connectTracks(micAudioTracks);
+    // The mix then runs through the recording's processing chain as a whole
+    const gains = {
+        screen: connectTracks(displayAudioTracks, activeAudioProcessing.screenAudioGain),
+        microphone: connectTracks(micAudioTracks, activeAudioProcessing.microphoneGain)
+    };
+    mixerGains = gains;
+    cleanups.push(() => {
+        // A source switch disposes the old capture after the new one has registered its gains
+        if (mixerGains === gains) {
+            mixerGains = null;
+        }
+    });
 
     return destination.stream.getAudioTracks()[0] ?? null;
 }
@@ -172,12 +313,83 @@ async function setupPreview(videoElement, recordingStream) {
     previewElement.volume = 0;
     previewElement.setAttribute('muted', 'muted');
     previewElement.srcObject = previewStream;
+    renderSourceElement = previewElement;
     await previewElement.play().catch((error) => {
         console.warn('Unable to autoplay preview stream', error);
     });
 }
 
+async function setupCompositeSources(videoElement, recordingStream, cameraStream) {
+    teardownComposite();
+    previewElement = videoElement;
+    if (previewStream) {
+        previewStream.getTracks().forEach((track) => track.stop());
+    }
+
+    const clone = recordingStream.clone();
+    clone.getAudioTracks().forEach((track) => clone.removeTrack(track));
+    previewStream = clone;
+
+    const screenElement = createHiddenVideo(previewStream);
+    const cameraElement = createHiddenVideo(cameraStream);
+    compositeState = { screenElement, cameraElement, detachControls: null };
+    renderSourceElement = screenElement;
+
+    await Promise.all([screenElement.play(), cameraElement.play()]).catch((error) => {
+        console.warn('Unable to start picture-in-picture sources', error);
+    });
+}
+
+async function attachCompositePreview() {
+    if (!compositeState || !previewElement || !canvasStream) {
+        return;
+    }
+
+    // The preview shows the composed canvas so the bubble can be dragged where it is recorded;
+    // the canvas track itself belongs to the recorder and must not be stopped with the preview.
+    previewElement.defaultMuted = true;
+    previewElement.muted = true;
+    previewElement.setAttribute('muted', 'muted');
+    previewElement.srcObject = new MediaStream(canvasStream.getVideoTracks());
+    compositeState.detachControls = attachBubbleControls(
+        previewElement,
+        () => ({ width: canvas?.width ?? 0, height: canvas?.height ?? 0 }),
+        () => pipLayout,
+        (layout) => {
+            pipLayout = layout;
+        });
+    await previewElement.play().catch((error) => {
+        console.warn('Unable to autoplay preview stream', error);
+    });
+}
+
+function teardownComposite() {
+    if (!compositeState) {
+        return;
+    }
+
+    compositeState.detachControls?.();
+    [compositeState.screenElement, compositeState.cameraElement].forEach((element) => {
+        element.pause();
+        element.srcObject = null;
+    });
+    compositeState = null;
+}
+
+async function attachCapture(videoElement, capture) {
+    if (capture.cameraStream) {
+        await setupCompositeSources(videoElement, capture.stream, capture.cameraStream);
+        configureCanvasForStream(capture.stream, capture.screen);
+        await attachCompositePreview();
+    } else {
+        teardownComposite();
+        await setupPreview(videoElement, capture.stream);
+        configureCanvasForStream(capture.stream, capture.screen);
+    }
+}
+
 function resetPreview() {
+    teardownComposite();
     if (previewElement) {
         previewElement.pause();
         previewElement.srcObject = null;
@@ -187,6 +399,7 @@ function resetPreview() {
     }
     previewElement = null;
     previewStream = null;
+    renderSourceElement = null;
 }
 
 function disposeCleanups(cleanups) {
@@ -203,24 +416,131 @@ function disposeCleanups(cleanups) {
     });
 }
 
-function createRecorder() {
-    const recorder = recorderOptions
-        ? new MediaRecorder(recordingStream, recorderOptions)
-        : new MediaRecorder(recordingStream);
+function createRecorder(webCodecsConfig = null) {
+    let recorder;
+    if (webCodecsConfig) {
+        recorder = new WebCodecsRecorder(recordingStream, webCodecsConfig);
+    } else {
+        recorder = recorderOptions
+            ? new MediaRecorder(recordingStream, recorderOptions)
+            : new MediaRecorder(recordingStream);
+    }
     recorder.ondataavailable = (event) => {
         if (event.data && event.data.size > 0) {
             recordedChunks.push(event.data);
+            recordedBytes += event.data.size;
+            persistChunk(event.data);
         }
     };
     recorder.onerror = (error) => console.error('Recorder error', error);
     return recorder;
 }
 
-function configureCanvasForStream(sourceStream) {
+function createRecordingId() {
+    if (typeof crypto?.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+async function acquireRecorderLock() {
+    if (releaseRecorderLock) {
+        return;
+    }
+
+    releaseRecorderLock = await tryAcquireLock(RECORDER_LOCK);
+    if (!releaseRecorderLock) {
+        throw new Error('Another tab is already recording. Finish or cancel that recording first.');
+    }
+    // A new app version must not take over while the camera is live
+    releaseUpdateDeferral = deferUpdates();
+}
+
+function releaseRecorder() {
+    releaseRecorderLock?.();
+    releaseRecorderLock = null;
+    releaseUpdateDeferral?.();
+    releaseUpdateDeferral = null;
+}
+
+function releasePersistedRecordingLock() {
+    releaseRecordingLock?.();
+    releaseRecordingLock = null;
+}
+
+function beginPersistedRecording() {
+    persistedRecordingId = null;
+    persistedChunkSequence = 0;
+    releasePersistedRecordingLock();
+    if (!recordingStore.isSupported()) {
+        return;
+    }
+
+    const id = createRecordingId();
+    persistedRecordingId = id;
+    persistQueue = persistQueue
+        // Other tabs must not offer this recording for recovery while this tab owns it
+        .then(async () => {
+            const release = await tryAcquireLock(recordingLockName(id));
+            if (persistedRecordingId === id) {
+                releaseRecordingLock = release;
+            } else {
+                release?.();
+            }
+        })
+        .then(() => recordingStore.createRecording(id, recordingMimeType))
+        .catch((error) => {
+            console.warn('Unable to persist recording, crash recovery is disabled', error);
+            if (persistedRecordingId === id) {
+                persistedRecordingId = null;
+            }
+        });
+}
+
+function persistChunk(blob) {
+    if (!persistedRecordingId) {
+        return;
+    }
+
+    const id = persistedRecordingId;
+    const sequence = persistedChunkSequence;
+    persistedChunkSequence += 1;
+    persistQueue = persistQueue
+        .then(() => {
+            if (persistedRecordingId === id) {
+                return recordingStore.appendChunk(id, sequence, blob);
+            }
+            return undefined;
+        })
+        .catch((error) => console.warn('Unable to persist recording chunk', error));
+}
+
+async function discardPersistedRecording() {
+    await persistQueue;
+    const id = persistedRecordingId;
+    persistedRecordingId = null;
+    persistedChunkSequence = 0;
+    releasePersistedRecordingLock();
+    if (!id) {
+        return;
+    }
+
+    try {
+        await recordingStore.deleteRecording(id);
+    } catch (error) {
+        console.warn('Unable to delete persisted recording', error);
+    }
+}
+
+function configureCanvasForStream(sourceStream, screen = false) {
     const track = sourceStream.getVideoTracks()[0];
     const settings = track?.getSettings?.() ?? {};
-    const width = settings.width ?? canvas?.width ?? 1280;
-    const height = settings.height ?? canvas?.height ?? 720;
+    captureSettings = settings;
+    const sourceWidth = settings.width ?? canvas?.width;
+    const sourceHeight = settings.height ?? canvas?.height;
+    const { width, height } = screen && sourceWidth && sourceHeight
+        ? fitScreenCapture(sourceWidth, sourceHeight)
+        : fitToProfile(sourceWidth, sourceHeight, activeProfile);
 
     if (!canvas) {
         canvas = document.createElement('canvas');
@@ -233,7 +553,7 @@ function configureCanvasForStream(sourceStream) {
 
     canvasContext = canvas.getContext('2d');
     if (!canvasStream) {
-        canvasStream = canvas.captureStream(30);
+        canvasStream = canvas.captureStream(activeProfile.frameRate);
     }
 }
 
@@ -243,8 +563,15 @@ function startRenderingLoop() {
     }
 
     const render = () => {
-        if (canvasContext && previewElement && previewElement.readyState >= 2) {
-            canvasContext.drawImage(previewElement, 0, 0, canvas.width, canvas.height);
+        if (canvasContext && renderSourceElement && renderSourceElement.readyState >= 2) {
+            if (compositeState) {
+                // Mirroring applies to the webcam bubble only; mirrored screen text is unreadable
+                const cameraElement = compositeState.cameraElement;
+                drawFrame(canvasContext, renderSourceElement, canvas.width, canvas.height, { ...activeEffects, mirror: false },
+                    (context) => drawBubble(context, cameraElement, canvas.width, canvas.height, pipLayout, activeEffects.mirror));
+            } else {
+                drawFrame(canvasContext, renderSourceElement, canvas.width, canvas.height, activeEffects);
+            }
         }
         canvasAnimationId = requestAnimationFrame(render);
     };
@@ -289,6 +616,11 @@ function ensureAudioGraph() {
         }
     }
 
+    if (!audioProcessingChain) {
+        audioProcessingChain = createProcessingChain(audioContext, activeAudioProcessing);
+        audioProcessingChain.output.connect(audioDestination);
+    }
+
     return true;
 }
 
@@ -315,69 +647,336 @@ function updateAudioTracks(sourceStream) {
     sourceStream.getAudioTracks().forEach((track) => {
         const tempStream = new MediaStream([track]);
         const source = audioContext.createMediaStreamSource(tempStream);
-        source.connect(audioDestination);
+        source.connect(audioProcessingChain.input);
         audioSources.push(source);
     });
 }
 
-function startVuMeter(stream, meterElement) {
-    stopVuMeter();
-    if (!meterElement || typeof meterElement.querySelector !== 'function') {
+// ============ Audio alerts ============
+
+const audioAlertListeners = new Set();
+
+function emitAudioAlert(alert) {
+    if (alert.type === 'clipping') {
+        vuMeterState.container?.classList.toggle('is-clipping', alert.active);
+    }
+    audioAlertListeners.forEach((listener) => {
+        try {
+            listener(alert);
+        } catch (error) {
+            console.warn('Audio alert listener failed', error);
+        }
+    });
+}
+
+// Reports sustained silence, clipping and muted or ended microphone tracks while recording.
+// Each alert is sent once when the condition starts (active) and once when it clears.
+export function watchAudioAlerts(dotNetRef) {
+    const listener = (alert) => {
+        dotNetRef.invokeMethodAsync('OnAudioAlert', alert.type, alert.active, alert.levelDb ?? null)
+            .catch((error) => console.warn('Failed to report audio alert', error));
+    };
+    audioAlertListeners.add(listener);
+    return {
+        dispose: () => {
+            audioAlertListeners.delete(listener);
+        }
+    };
+}
+
+// A muted track is one the OS or hardware stopped feeding (e.g. a mute switch); an ended track was
+// unplugged or revoked. Neither shows up as an error, only as silence.
+function watchMicrophoneTracks(tracks, cleanups) {
+    tracks.forEach((track) => {
+        const onEnded = () => emitAudioAlert({ type: 'track-ended', active: true, levelDb: null });
+        const onMute = () => emitAudioAlert({ type: 'muted', active: true, levelDb: null });
+        const onUnmute = () => emitAudioAlert({ type: 'muted', active: false, levelDb: null });
+        track.addEventListener('ended', onEnded);
+        track.addEventListener('mute', onMute);
+        track.addEventListener('unmute', onUnmute);
+        cleanups.push(() => {
+            track.removeEventListener('ended', onEnded);
+            track.removeEventListener('mute', onMute);
+            track.removeEventListener('unmute', onUnmute);
+        });
+
+        if (track.readyState === 'ended') {
+            onEnded();
+        } else if (track.muted) {
+            onMute();
+        }
+    });
+}
+
+// ============ Device recovery ============
+
+const recoveryListeners = new Set();
+
+// Reports each attempt to replace a capture device that went away while recording
+export function watchCaptureRecovery(dotNetRef) {
+    const listener = (result) => {
+        dotNetRef.invokeMethodAsync('OnCaptureDeviceRecovered', result.kind, result.deviceId, result.label, result.succeeded)
+            .catch((error) => console.warn('Failed to report capture device recovery', error));
+    };
+    recoveryListeners.add(listener);
+    return {
+        dispose: () => {
+            recoveryListeners.delete(listener);
+        }
+    };
+}
+
+function notifyRecovery(result) {
+    recoveryListeners.forEach((listener) => {
+        try {
+            listener(result);
+        } catch (error) {
+            console.warn('Capture recovery listener failed', error);
+        }
+    });
+}
+
+// An unplugged camera or dropped headset only shows up as its track ending; the recording would
+// otherwise carry on with a frozen frame or silence
+function watchCaptureTracks(capture, cleanups, captureScreen) {
+    watchMicrophoneTracks(capture.microphoneTracks ?? [], cleanups);
+
+    const watchTrack = (track, kind) => {
+        const onEnded = () => scheduleRecovery(kind);
+        track.addEventListener('ended', onEnded);
+        cleanups.push(() => track.removeEventListener('ended', onEnded));
+    };
+    (capture.microphoneTracks ?? []).forEach((track) => watchTrack(track, 'audioinput'));
+    // During screen capture the stream's video is the shared screen and the webcam rides separately
+    capture.stream.getVideoTracks().forEach((track) => watchTrack(track, captureScreen ? 'screen' : 'videoinput'));
+    capture.cameraStream?.getVideoTracks().forEach((track) => watchTrack(track, 'videoinput'));
+}
+
+function isRecorderActive() {
+    return !!mediaRecorder && mediaRecorder.state !== 'inactive';
+}
+
+function scheduleRecovery(kind) {
+    if (!isRecorderActive() || !captureContext) {
         return;
     }
+    pendingRecoveries.add(kind);
+    runRecoveries();
+}
+
+// Failed kinds stay pending and are retried when the device list changes, e.g. on replugging
+async function runRecoveries() {
+    if (recoveryRunning) {
+        return;
+    }
+
+    recoveryRunning = true;
+    const attempted = new Set();
+    try {
+        let kind;
+        while ((kind = [...pendingRecoveries].find((pending) => !attempted.has(pending)))) {
+            attempted.add(kind);
+            if (!isRecorderActive() || !captureContext) {
+                pendingRecoveries.clear();
+                break;
+            }
+
+            const result = await recoverDevice(kind);
+            if (result.succeeded) {
+                pendingRecoveries.delete(kind);
+                if (kind === 'audioinput') {
+                    emitAudioAlert({ type: 'track-ended', active: false, levelDb: null });
+                }
+            }
+            notifyRecovery(result);
+        }
+    } finally {
+        recoveryRunning = false;
+    }
+}
+
+function currentTrackLabel(kind) {
+    const capture = captureContext?.capture;
+    const track = kind === 'audioinput'
+        ? microphoneTracks[0]
+        : capture?.cameraStream?.getVideoTracks()[0] ?? capture?.stream.getVideoTracks()[0];
+    return track?.label || null;
+}
+
+async function recoverDevice(kind) {
+    const { videoElement, options, meterElement, captureScreen } = captureContext;
+    const failed = { kind, deviceId: null, label: null, succeeded: false };
+
+    if (kind === 'screen') {
+        // Sharing was stopped (or the shared window closed): carry on with the webcam
+        try {
+            await switchSource(videoElement, options, meterElement, false);
+            return { kind, deviceId: options?.cameraDeviceId ?? null, label: currentTrackLabel('videoinput'), succeeded: true };
+        } catch (error) {
+            console.warn('Unable to fall back to the webcam after screen sharing ended', error);
+            return failed;
+        }
+    }
+    if (captureScreen) {
+        // Re-opening the capture would prompt for the screen again, which needs a user gesture
+        return failed;
+    }
+
+    // The system default first, then every other device of the same kind
+    const key = kind === 'audioinput' ? 'microphoneDeviceId' : 'cameraDeviceId';
+    const lostDeviceId = options?.[key] ?? null;
+    const devices = await listDevices(false);
+    const candidates = [null, ...devices
+        .filter((device) => device.kind === kind && device.deviceId !== 'default' && device.deviceId !== lostDeviceId)
+        .map((device) => device.deviceId)];
 
-    const fill = meterElement.querySelector('[data-role="vu-fill"]');
+    for (const deviceId of candidates) {
+        try {
+            // A missing camera must fail here rather than quietly turn the rest into a voice memo
+            await switchSource(videoElement, { ...options, allowAudioOnlyFallback: false, [key]: deviceId }, meterElement, false);
+            return { kind, deviceId, label: currentTrackLabel(kind), succeeded: true };
+        } catch (error) {
+            console.warn(`Unable to switch to ${deviceId ?? 'the default device'} after a device was lost`, error);
+        }
+    }
+    return failed;
+}
+
+function startDeviceRecovery(context) {
+    captureContext = context;
+    if (!deviceWatch) {
+        deviceWatch = watchDevices(() => {
+            if (pendingRecoveries.size > 0) {
+                runRecoveries();
+            }
+        });
+    }
+}
+
+function stopDeviceRecovery() {
+    deviceWatch?.dispose();
+    deviceWatch = null;
+    pendingRecoveries = new Set();
+    captureContext = null;
+}
+
+// ============ VU meter ============
+
+function resetLevelAlerts() {
+    vuMeterState.levels?.reset().forEach(emitAudioAlert);
+}
+
+// Feeds the silence/clipping detection from a timer and draws the level bar and peak-hold marker
+// from the latest measurement every frame. The meter element can opt into a logarithmic scale with
+// data-scale="db"; it is read every frame so the page can switch it while recording.
+function startVuMeter(stream, meterElement) {
+    stopVuMeter();
     const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
-    if (!fill || !AudioContextCtor) {
+    if (!AudioContextCtor || stream.getAudioTracks().length === 0) {
         return;
     }
 
+    const hasMeter = !!meterElement && typeof meterElement.querySelector === 'function';
     const audioContext = new AudioContextCtor();
     const resumePromise = audioContext.state === 'suspended'
         ? audioContext.resume().catch((error) => console.warn('Unable to resume audio context', error))
         : Promise.resolve();
     const source = audioContext.createMediaStreamSource(stream);
     const analyser = audioContext.createAnalyser();
-    analyser.fftSize = 512;
+    analyser.fftSize = 1024;
     const gainNode = audioContext.createGain();
     gainNode.gain.value = 0;
     source.connect(analyser);
     analyser.connect(gainNode);
     gainNode.connect(audioContext.destination);
-    const dataArray = new Uint8Array(analyser.frequencyBinCount);
+    const dataArray = new Float32Array(analyser.fftSize);
 
-    vuMeterState.container = meterElement;
-    vuMeterState.fill = fill;
+    vuMeterState.container = hasMeter ? meterElement : null;
+    vuMeterState.fill = hasMeter ? meterElement.querySelector('[data-role="vu-fill"]') : null;
+    vuMeterState.peak = hasMeter ? meterElement.querySelector('[data-role="vu-peak"]') : null;
+    vuMeterState.levels = createLevelAnalyser();
     vuMeterState.audioContext = audioContext;
     vuMeterState.analyser = analyser;
     vuMeterState.gainNode = gainNode;
     vuMeterState.dataArray = dataArray;
     vuMeterState.source = source;
 
-    const update = () => {
-        if (!vuMeterState.analyser || !vuMeterState.fill) {
+    const measure = () => {
+        if (!vuMeterState.analyser || !vuMeterState.levels) {
             return;
         }
 
-        vuMeterState.analyser.getByteTimeDomainData(vuMeterState.dataArray);
-        let sum = 0;
-        for (let i = 0; i < vuMeterState.dataArray.length; i += 1) {
-            const value = (vuMeterState.dataArray[i] - 128) / 128;
-            sum += value * value;
+        vuMeterState.analyser.getFloatTimeDomainData(vuMeterState.dataArray);
+        const { rmsDb, heldDb, alerts } = vuMeterState.levels.measure(vuMeterState.dataArray, performance.now());
+        vuMeterState.lastLevels = { rmsDb, heldDb };
+        alerts.forEach(emitAudioAlert);
+    };
+
+    const draw = () => {
+        const levels = vuMeterState.lastLevels;
+        if (levels) {
+            const scale = normalizeMeterScale(vuMeterState.container?.dataset.scale);
+            if (vuMeterState.fill) {
+                vuMeterState.fill.style.width = `${(meterFraction(levels.rmsDb, scale) * 100).toFixed(1)}%`;
+            }
+            if (vuMeterState.peak) {
+                vuMeterState.peak.style.left = `${(meterFraction(levels.heldDb, scale) * 100).toFixed(1)}%`;
+            }
+        }
+        vuMeterState.rafId = requestAnimationFrame(draw);
+    };
+
+    vuMeterState.start = () => {
+        measure();
+        vuMeterState.levelTimer = setInterval(measure, LEVEL_POLL_MS);
+        if (hasMeter) {
+            draw();
         }
-        const rms = Math.sqrt(sum / vuMeterState.dataArray.length);
-        const level = Math.min(1, rms * 4);
-        vuMeterState.fill.style.width = `${(level * 100).toFixed(1)}%`;
-        vuMeterState.rafId = requestAnimationFrame(update);
     };
 
-    resumePromise.finally(update);
+    resumePromise.finally(() => {
+        if (vuMeterState.start && !isPaused()) {
+            vuMeterState.start();
+        }
+    });
 }
 
-function stopVuMeter() {
+function clearMeterDisplay() {
+    if (vuMeterState.fill) {
+        vuMeterState.fill.style.width = '0%';
+    }
+    if (vuMeterState.peak) {
+        vuMeterState.peak.style.left = '0%';
+    }
+}
+
+function stopVuMeterLoops() {
+    if (vuMeterState.levelTimer) {
+        clearInterval(vuMeterState.levelTimer);
+        vuMeterState.levelTimer = null;
+    }
     if (vuMeterState.rafId) {
         cancelAnimationFrame(vuMeterState.rafId);
+        vuMeterState.rafId = null;
     }
+    vuMeterState.lastLevels = null;
+}
+
+function pauseVuMeter() {
+    stopVuMeterLoops();
+    // Paused silence is expected, so clear any warning and start counting afresh on resume
+    resetLevelAlerts();
+    clearMeterDisplay();
+}
+
+function resumeVuMeter() {
+    if (vuMeterState.start && !vuMeterState.levelTimer) {
+        vuMeterState.start();
+    }
+}
+
+function stopVuMeter() {
+    stopVuMeterLoops();
     if (vuMeterState.source) {
         vuMeterState.source.disconnect();
     }
@@ -394,63 +993,373 @@ function stopVuMeter() {
             console.warn('Error while closing audio context', error);
         }
     }
-    if (vuMeterState.fill) {
-        vuMeterState.fill.style.width = '0%';
-    }
+    resetLevelAlerts();
+    clearMeterDisplay();
+    vuMeterState.container?.classList.remove('is-clipping');
 
     vuMeterState.container = null;
     vuMeterState.fill = null;
+    vuMeterState.peak = null;
+    vuMeterState.levels = null;
     vuMeterState.audioContext = null;
     vuMeterState.analyser = null;
     vuMeterState.gainNode = null;
     vuMeterState.dataArray = null;
     vuMeterState.source = null;
-    vuMeterState.rafId = null;
+    vuMeterState.start = null;
+}
+
+function isPaused() {
+    return mediaRecorder?.state === 'paused';
+}
+
+function getElapsedMs() {
+    if (recordingStartedAt === null) {
+        return 0;
+    }
+
+    const end = recordingStoppedAt ?? pausedAt ?? performance.now();
+    return Math.max(0, end - recordingStartedAt - pausedDurationMs);
 }
 
 export async function startRecording(videoElement, options, meterElement, captureScreen = false) {
-    const capture = await createCaptureStream(options, captureScreen);
+    await acquireRecorderLock();
+    // Needed before capture: the noise suppression/echo/gain toggles are getUserMedia constraints
+    activeAudioProcessing = normalizeAudioProcessing(options?.audioProcessing, defaultAudioProcessing());
+    let capture;
+    try {
+        capture = await createCaptureStream(options, captureScreen);
+    } catch (error) {
+        releaseRecorder();
+        throw error;
+    }
     currentCaptureCleanups = capture.cleanups;
-
-    await setupPreview(videoElement, capture.stream);
-    configureCanvasForStream(capture.stream);
-    startRenderingLoop();
+    microphoneTracks = capture.microphoneTracks ?? [];
+    activeEffects = normalizeEffects(options?.effects, defaultEffects());
+    pipLayout = normalizeLayout(options?.pictureInPicture, normalizeLayout());
+    activeProfile = resolveQualityProfile(options?.qualityProfile);
+    audioOnlyMode = capture.audioOnly;
+    captureSettings = {};
+
+    // Voice memos skip the canvas pipeline entirely; the recorder only sees the mixed audio track
+    if (!audioOnlyMode) {
+        await attachCapture(videoElement, capture);
+        startRenderingLoop();
+    }
     recordingStream = new MediaStream();
     ensureRecordingStream();
     updateAudioTracks(capture.stream);
 
     recordedChunks = [];
-    recordingMimeType = selectMimeType();
-    recorderOptions = recordingMimeType ? { mimeType: recordingMimeType } : undefined;
-    mediaRecorder = createRecorder();
+    recordedBytes = 0;
+    // Prefer WebCodecs + MP4 so every browser produces the same seekable container
+    const webCodecsConfig = audioOnlyMode
+        ? null
+        : await selectWebCodecsConfig({
+            width: canvas?.width,
+            height: canvas?.height,
+            frameRate: activeProfile.frameRate,
+            videoBitsPerSecond: activeProfile.videoBitsPerSecond,
+            audioBitsPerSecond: activeProfile.audioBitsPerSecond,
+            audioTrack: recordingStream.getAudioTracks()[0] ?? null
+        });
+    if (audioOnlyMode) {
+        recordingMimeType = selectMimeType(preferredAudioMimeTypes, 'audio/webm');
+    } else {
+        recordingMimeType = webCodecsConfig?.mimeType ?? selectMimeType();
+    }
+    recorderOptions = audioOnlyMode
+        ? { audioBitsPerSecond: activeProfile.audioBitsPerSecond }
+        : {
+            videoBitsPerSecond: activeProfile.videoBitsPerSecond,
+            audioBitsPerSecond: activeProfile.audioBitsPerSecond
+        };
+    if (recordingMimeType) {
+        recorderOptions.mimeType = recordingMimeType;
+    }
+    mediaRecorder = createRecorder(webCodecsConfig);
+    beginPersistedRecording();
     startVuMeter(recordingStream, meterElement);
-    mediaRecorder.start();
+    mediaRecorder.start(RECORDING_TIMESLICE_MS);
+    const screen = captureScreen && !audioOnlyMode;
+    startDeviceRecovery({ videoElement, options, meterElement, captureScreen: screen, capture });
+    watchCaptureTracks(capture, currentCaptureCleanups, screen);
+    recordingStartedAt = performance.now();
+    recordingStoppedAt = null;
+    pausedAt = null;
+    pausedDurationMs = 0;
+    broadcast('recorder-started');
+    return getEffectiveRecordingSettings();
 }
 
 export async function switchSource(videoElement, options, meterElement, captureScreen = false) {
-    if (!mediaRecorder || mediaRecorder.state !== 'recording' || !recordingStream) {
+    if (!mediaRecorder || mediaRecorder.state === 'inactive' || !recordingStream) {
         return;
     }
 
-    const capture = await createCaptureStream(options, captureScreen);
-    await setupPreview(videoElement, capture.stream);
-    configureCanvasForStream(capture.stream);
-    startRenderingLoop();
+    // A recorder started without a video track cannot gain one, so audio-only stays audio-only
+    const capture = audioOnlyMode
+        ? await createCaptureStream({ ...options, audioOnly: true }, false)
+        : await createCaptureStream(options, captureScreen);
+    if (!audioOnlyMode) {
+        await attachCapture(videoElement, capture);
+        if (!isPaused()) {
+            startRenderingLoop();
+        }
+    }
     updateAudioTracks(capture.stream);
     ensureRecordingStream();
     stopVuMeter();
     startVuMeter(recordingStream, meterElement);
     disposeCleanups(currentCaptureCleanups);
     currentCaptureCleanups = capture.cleanups;
+    microphoneTracks = capture.microphoneTracks ?? [];
+    const screen = captureScreen && !audioOnlyMode;
+    startDeviceRecovery({ videoElement, options, meterElement, captureScreen: screen, capture });
+    watchCaptureTracks(capture, currentCaptureCleanups, screen);
+}
+
+// ============ Camera flip ============
+
+// Errors from phones that cannot open a second camera while the first one is still streaming
+const CAMERA_BUSY_ERRORS = new Set(['NotReadableError', 'AbortError']);
+
+function currentCameraTrack() {
+    return captureContext?.capture?.stream.getVideoTracks()[0] ?? null;
+}
+
+function describeCamera(fallbackFacingMode) {
+    const track = currentCameraTrack();
+    const settings = track?.getSettings?.() ?? {};
+    return {
+        facingMode: normalizeFacingMode(settings.facingMode) ?? fallbackFacingMode,
+        deviceId: settings.deviceId ?? null,
+        label: track?.label || null
+    };
+}
+
+async function switchCamera(cameraOptions) {
+    const { videoElement, options, meterElement } = captureContext;
+    const next = { ...options, ...cameraOptions, allowAudioOnlyFallback: false };
+    try {
+        await switchSource(videoElement, next, meterElement, false);
+    } catch (error) {
+        if (!CAMERA_BUSY_ERRORS.has(error?.name)) {
+            throw error;
+        }
+        // Release the current lens and try again; the recording keeps the last frame meanwhile
+        currentCameraTrack()?.stop();
+        try {
+            await switchSource(videoElement, next, meterElement, false);
+        } catch (retryError) {
+            try {
+                await switchSource(videoElement, { ...options, allowAudioOnlyFallback: false }, meterElement, false);
+            } catch (restoreError) {
+                console.warn('Unable to reopen the previous camera after a failed flip', restoreError);
+                scheduleRecovery('videoinput');
+            }
+            throw retryError;
+        }
+    }
+}
+
+// Whether there is more than one camera to flip between. Labels (and so the device list) are only
+// available once camera permission has been granted.
+export async function canFlipCamera() {
+    const devices = await listDevices(false);
+    return devices.filter((device) => device.kind === 'videoinput').length > 1;
+}
+
+// Switches between the front and back camera while recording. Desktops do not report a facing
+// mode, so there the next camera in the device list is used instead. Resolves to the camera now
+// in use, or null when there is nothing to flip (no recording, screen capture or a voice memo).
+export async function flipCamera() {
+    if (!isRecorderActive() || !captureContext || captureContext.captureScreen || audioOnlyMode) {
+        return null;
+    }
+
+    const current = describeCamera(normalizeFacingMode(captureContext.options?.cameraFacingMode) ?? 'user');
+    let facingMode = current.facingMode === 'environment' ? 'user' : 'environment';
+    try {
+        await switchCamera({ cameraDeviceId: null, cameraFacingMode: facingMode, requireFacingMode: true });
+    } catch (error) {
+        const cameras = (await listDevices(false)).filter((device) => device.kind === 'videoinput' && device.deviceId !== 'default');
+        if (cameras.length < 2) {
+            throw error;
+        }
+        const index = cameras.findIndex((device) => device.deviceId === current.deviceId);
+        const nextCamera = cameras[(index + 1) % cameras.length];
+        facingMode = null;
+        await switchCamera({ cameraDeviceId: nextCamera.deviceId, cameraFacingMode: null });
+    }
+
+    // Later recoveries and switches should prefer this lens without insisting on it
+    const camera = describeCamera(facingMode);
+    captureContext.options = {
+        ...captureContext.options,
+        cameraDeviceId: camera.deviceId,
+        cameraFacingMode: camera.facingMode,
+        requireFacingMode: false
+    };
+    return camera;
+}
+
+export function getQualityProfiles() {
+    return listQualityProfiles();
+}
+
+function pickNegotiatedAudioSettings(settings) {
+    return {
+        noiseSuppression: settings.noiseSuppression ?? null,
+        echoCancellation: settings.echoCancellation ?? null,
+        autoGainControl: settings.autoGainControl ?? null
+    };
+}
+
+// Reports what the device and browser actually negotiated, which may be lower than the profile asked for
+export function getEffectiveRecordingSettings() {
+    return {
+        profile: activeProfile.name,
+        audioOnly: audioOnlyMode,
+        capture: {
+            deviceId: captureSettings.deviceId ?? null,
+            width: captureSettings.width ?? null,
+            height: captureSettings.height ?? null,
+            frameRate: captureSettings.frameRate ?? null
+        },
+        output: {
+            width: canvas?.width ?? null,
+            height: canvas?.height ?? null,
+            frameRate: canvasStream?.getVideoTracks()[0]?.getSettings?.().frameRate ?? activeProfile.frameRate
+        },
+        audio: {
+            ...activeAudioProcessing,
+            // What the browser actually enabled on the microphone, where it reports it
+            negotiated: pickNegotiatedAudioSettings(microphoneTracks[0]?.getSettings?.() ?? {})
+        },
+        recorder: {
+            encoder: mediaRecorder instanceof WebCodecsRecorder ? 'webcodecs' : 'mediarecorder',
+            mimeType: mediaRecorder?.mimeType || recordingMimeType,
+            videoBitsPerSecond: mediaRecorder?.videoBitsPerSecond ?? recorderOptions?.videoBitsPerSecond ?? null,
+            audioBitsPerSecond: mediaRecorder?.audioBitsPerSecond ?? recorderOptions?.audioBitsPerSecond ?? null
+        }
+    };
+}
+
+export function setEffects(options) {
+    activeEffects = normalizeEffects(options, activeEffects);
+    return { ...activeEffects };
+}
+
+// Adjusts audio processing while recording. The constraint toggles are re-applied to the microphone,
+// which not every browser honours mid-stream; the Web Audio stages always take effect.
+export async function setAudioProcessing(options) {
+    activeAudioProcessing = normalizeAudioProcessing(options, activeAudioProcessing);
+    audioProcessingChain?.update(activeAudioProcessing);
+    if (mixerGains?.screen) {
+        mixerGains.screen.gain.value = activeAudioProcessing.screenAudioGain;
+    }
+    if (mixerGains?.microphone) {
+        mixerGains.microphone.gain.value = activeAudioProcessing.microphoneGain;
+    }
+    await applyProcessingConstraints(microphoneTracks, activeAudioProcessing);
+    return { ...activeAudioProcessing };
+}
+
+export function setPictureInPictureLayout(layout) {
+    pipLayout = normalizeLayout(layout, pipLayout);
+    return { ...pipLayout };
+}
+
+export function pauseRecording() {
+    if (!mediaRecorder || mediaRecorder.state !== 'recording') {
+        return false;
+    }
+
+    // Flush what we have so far so a crash while paused loses nothing
+    mediaRecorder.requestData();
+    mediaRecorder.pause();
+    pausedAt = performance.now();
+    stopRenderingLoop();
+    pauseVuMeter();
+    return true;
+}
+
+export function resumeRecording() {
+    if (!mediaRecorder || mediaRecorder.state !== 'paused') {
+        return false;
+    }
+
+    if (pausedAt !== null) {
+        pausedDurationMs += performance.now() - pausedAt;
+        pausedAt = null;
+    }
+    startRenderingLoop();
+    mediaRecorder.resume();
+    resumeVuMeter();
+    return true;
+}
+
+export function getRecordingState() {
+    const pausedMs = pausedDurationMs + (pausedAt !== null ? performance.now() - pausedAt : 0);
+    return {
+        state: mediaRecorder?.state ?? 'inactive',
+        elapsedMs: Math.round(getElapsedMs()),
+        pausedMs: Math.round(pausedMs),
+        sizeBytes: recordedBytes,
+        audioOnly: audioOnlyMode
+    };
+}
+
+// The WebCodecs recorder can only write the real duration into the MP4 header once it has
+// finished, so the first chunk is swapped for the rewritten (same-sized) header
+function applyFinalizedHeader() {
+    const header = mediaRecorder?.finalizedHeader;
+    if (!header || recordedChunks.length === 0) {
+        return;
+    }
+
+    recordedChunks[0] = header;
+    const id = persistedRecordingId;
+    if (id) {
+        persistQueue = persistQueue
+            .then(() => recordingStore.replaceChunk(id, 0, header))
+            .catch((error) => console.warn('Unable to persist the finalized recording header', error));
+    }
+}
+
+// MediaRecorder writes WebM as a live stream without a duration or seek index; rebuild the container
+// so the saved entry reports its length and can be seeked. The crash-recovery copy keeps the raw
+// chunks and is fixed up the same way when it is recovered.
+async function applyWebmMetadata() {
+    if (recordedChunks.length === 0 || !/webm/i.test(recordingMimeType)) {
+        return;
+    }
+
+    const fixed = await fixWebmMetadata(new Blob(recordedChunks, { type: recordingMimeType }));
+    recordedChunks = [fixed];
+    recordedBytes = fixed.size;
 }
 
 export async function stopRecording() {
+    stopDeviceRecovery();
+    if (pausedAt !== null) {
+        pausedDurationMs += performance.now() - pausedAt;
+        pausedAt = null;
+    }
+    if (recordingStartedAt !== null && recordingStoppedAt === null) {
+        recordingStoppedAt = performance.now();
+    }
+
     if (mediaRecorder && mediaRecorder.state !== 'inactive') {
         await new Promise((resolve) => {
             mediaRecorder.addEventListener('stop', resolve, { once: true });
             mediaRecorder.stop();
         });
+        applyFinalizedHeader();
+        await applyWebmMetadata();
     }
+    await persistQueue;
 
     if (mediaRecorder?.stream) {
         mediaRecorder.stream.getTracks().forEach((track) => track.stop());
@@ -475,6 +1384,9 @@ export async function stopRecording() {
         }
     });
     audioSources = [];
+    audioProcessingChain?.dispose();
+    audioProcessingChain = null;
+    microphoneTracks = [];
     if (audioDestination) {
         audioDestination.stream.getTracks().forEach((track) => track.stop());
         audioDestination = null;
@@ -484,17 +1396,225 @@ export async function stopRecording() {
         audioContext = null;
     }
     recordingStream = null;
+    if (releaseRecorderLock) {
+        releaseRecorder();
+        broadcast('recorder-stopped');
+    }
 }
 
+// The finished recording as bytes, for callers that need it in one piece; uploads stream it instead
 export async function getRecording() {
+    const snapshot = getRecordingSnapshot();
+    return snapshot ? new Uint8Array(await snapshot.blob.arrayBuffer()) : new Uint8Array();
+}
+
+// Returns the finished recording as a Blob plus the id it is persisted under, for in-browser consumers
+export function getRecordingSnapshot() {
     if (recordedChunks.length === 0) {
-        return new Uint8Array();
+        return null;
     }
 
-    const blob = new Blob(recordedChunks, { type: recordingMimeType || 'video/webm' });
-    const buffer = await blob.arrayBuffer();
+    return {
+        id: persistedRecordingId,
+        blob: new Blob(recordedChunks, { type: recordingMimeType || 'video/webm' })
+    };
+}
+
+// Hands out slices of the finished recording on demand so callers never need the whole file in one buffer
+export function openRecordingReader() {
+    const snapshot = getRecordingSnapshot();
+    if (!snapshot) {
+        return null;
+    }
+
+    const { blob } = snapshot;
+    return {
+        getSize: () => blob.size,
+        getMimeType: () => blob.type,
+        readChunk: async (offset, length) => {
+            const slice = blob.slice(offset, Math.min(blob.size, offset + length));
+            return new Uint8Array(await slice.arrayBuffer());
+        }
+    };
+}
+
+export function getRecordingMimeType() {
+    return recordedChunks.length === 0 ? null : recordingMimeType || 'video/webm';
+}
+
+function currentRecordingBlob() {
+    return new Blob(recordedChunks, { type: recordingMimeType || 'video/webm' });
+}
+
+// Plays the finished recording in videoElement so in/out points can be picked against it.
+// Resolves to the recording's length in seconds.
+export async function openTrimPreview(videoElement) {
+    if (!videoElement || recordedChunks.length === 0) {
+        return null;
+    }
+
+    closeTrimPreview();
+    const url = URL.createObjectURL(currentRecordingBlob());
+    trimPreview = { element: videoElement, url };
+    videoElement.srcObject = null;
+    videoElement.src = url;
+    videoElement.muted = false;
+    videoElement.controls = true;
+    return await resolveDuration(videoElement);
+}
+
+export function seekTrimPreview(seconds) {
+    if (trimPreview && Number.isFinite(seconds)) {
+        trimPreview.element.currentTime = Math.max(0, seconds);
+    }
+}
+
+export function closeTrimPreview() {
+    if (!trimPreview) {
+        return;
+    }
+
+    const { element, url } = trimPreview;
+    trimPreview = null;
+    element.pause();
+    element.removeAttribute('src');
+    element.controls = false;
+    element.muted = true;
+    element.load();
+    URL.revokeObjectURL(url);
+}
+
+// Replaces the finished recording with the [startSeconds, endSeconds) range, so getRecording, the
+// recording readers and the snapshot (uploads, the Outgoing queue) hand out the trimmed clip. The crash-recovery copy is replaced as well.
+// cancelTrim() stops it and leaves the recording untouched.
+export async function trimRecording(startSeconds, endSeconds, dotNetRef) {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        throw new Error('Stop the recording before trimming it.');
+    }
+    if (recordedChunks.length === 0) {
+        throw new Error('There is no recording to trim.');
+    }
+    if (trimController) {
+        throw new Error('The recording is already being trimmed.');
+    }
+
+    const controller = new AbortController();
+    trimController = controller;
+    let trimmedBlob;
+    try {
+        trimmedBlob = await trimBlob(currentRecordingBlob(), startSeconds, endSeconds, {
+            signal: controller.signal,
+            mimeType: recordingMimeType,
+            // MP4 comes from the WebCodecs recorder; MediaRecorder would turn the trimmed clip into WebM
+            webCodecs: /^video\/mp4/i.test(recordingMimeType),
+            frameRate: activeProfile.frameRate,
+            videoBitsPerSecond: audioOnlyMode ? undefined : activeProfile.videoBitsPerSecond,
+            audioBitsPerSecond: activeProfile.audioBitsPerSecond,
+            onProgress: (fraction) => {
+                dotNetRef?.invokeMethodAsync('OnTrimProgress', fraction)
+                    .catch((error) => console.warn('Failed to report trim progress', error));
+            }
+        });
+    } finally {
+        trimController = null;
+    }
+    const trimmed = await fixWebmMetadata(trimmedBlob);
+
+    recordedChunks = [trimmed];
+    recordedBytes = trimmed.size;
+    recordingMimeType = trimmed.type || recordingMimeType;
+
+    await persistQueue;
+    const id = persistedRecordingId;
+    if (id) {
+        persistedChunkSequence = 1;
+        persistQueue = recordingStore.replaceRecording(id, recordingMimeType, trimmed)
+            .catch((error) => console.warn('Unable to persist trimmed recording', error));
+        await persistQueue;
+    }
+
+    return trimmed.size;
+}
+
+export function cancelTrim() {
+    trimController?.abort();
+}
+
+export async function discardRecording() {
+    cancelTrim();
+    closeTrimPreview();
     recordedChunks = [];
-    return new Uint8Array(buffer);
+    recordedBytes = 0;
+    await discardPersistedRecording();
+}
+
+export async function listRecoverableRecordings() {
+    if (!recordingStore.isSupported()) {
+        return [];
+    }
+
+    try {
+        const recordings = await recordingStore.listRecordings();
+        const recoverable = [];
+        for (const recording of recordings) {
+            if (recording.id === persistedRecordingId || recording.sizeBytes === 0) {
+                continue;
+            }
+            // Still owned by a live tab, e.g. a recording in progress elsewhere
+            if (await isLockHeld(recordingLockName(recording.id))) {
+                continue;
+            }
+            recoverable.push(recording);
+        }
+        return recoverable.sort((a, b) => (b.startedAt ?? '').localeCompare(a.startedAt ?? ''));
+    } catch (error) {
+        console.warn('Unable to list recoverable recordings', error);
+        return [];
+    }
+}
+
+export async function recoverRecording(id) {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        throw new Error('Cannot recover a recording while another one is in progress.');
+    }
+
+    const release = await tryAcquireLock(recordingLockName(id));
+    if (!release) {
+        throw new Error('This recording is open in another tab.');
+    }
+
+    const recording = await recordingStore.readRecording(id).catch((error) => {
+        release();
+        throw error;
+    });
+    if (!recording || recording.chunks.length === 0) {
+        release();
+        return null;
+    }
+
+    releasePersistedRecordingLock();
+    releaseRecordingLock = release;
+    recordingMimeType = recording.mimeType;
+    recordedChunks = recording.chunks;
+    recordedBytes = recording.sizeBytes;
+    await applyWebmMetadata();
+    persistedRecordingId = recording.id;
+    persistedChunkSequence = recording.chunkCount;
+
+    const { chunks, ...metadata } = recording;
+    return metadata;
+}
+
+export async function discardRecoverableRecording(id) {
+    if (id === persistedRecordingId) {
+        await discardRecording();
+        return;
+    }
+
+    if (await isLockHeld(recordingLockName(id))) {
+        throw new Error('This recording is open in another tab.');
+    }
+    await recordingStore.deleteRecording(id);
 }
 
 export function supportsScreenCapture() {
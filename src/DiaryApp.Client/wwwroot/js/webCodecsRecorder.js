@@ -0,0 +1,388 @@
+import { Mp4Muxer } from './mp4Muxer.js';
+
+// A MediaRecorder look-alike that encodes the recording stream with WebCodecs and muxes fragmented
+// MP4, so every browser that supports it produces the same seekable container. Frames are pulled
+// from the tracks with MediaStreamTrackProcessor, which is why support also depends on that API.
+
+const KEYFRAME_INTERVAL_US = 2_000_000;
+// Realtime encoding: drop frames rather than queue them when the encoder falls behind
+const MAX_VIDEO_QUEUE = 3;
+
+function h264Codec(width, height) {
+    // High profile; the level only has to cover the frame size
+    const pixels = width * height;
+    const level = pixels <= 921_600 ? '1f' : pixels <= 2_097_152 ? '28' : '33';
+    return `avc1.6400${level}`;
+}
+
+function av1Codec(width, height) {
+    const level = width * height <= 2_228_224 ? '08' : '12';
+    return `av01.0.${level}M.08`;
+}
+
+// H.264/AAC plays almost everywhere; AV1/Opus is the fallback for browsers without an H.264 encoder
+function candidatePairs(width, height) {
+    return [
+        { video: h264Codec(width, height), videoExtras: { avc: { format: 'avc' } }, audio: 'mp4a.40.2' },
+        { video: av1Codec(width, height), videoExtras: {}, audio: 'opus' }
+    ];
+}
+
+export function isWebCodecsRecordingAvailable() {
+    return typeof VideoEncoder === 'function'
+        && typeof AudioEncoder === 'function'
+        && typeof VideoFrame === 'function'
+        && typeof MediaStreamTrackProcessor === 'function';
+}
+
+async function isSupported(Encoder, config) {
+    try {
+        const { supported } = await Encoder.isConfigSupported(config);
+        return !!supported;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Resolves to the encoder configuration to use, or null when MediaRecorder should be used instead.
+// options: { width, height, frameRate, videoBitsPerSecond, audioBitsPerSecond, audioTrack }
+export async function selectWebCodecsConfig(options) {
+    if (!isWebCodecsRecordingAvailable() || !options.width || !options.height) {
+        return null;
+    }
+
+    // Only an estimate for the support check; the recorder switches to the format of the first sample
+    const audioSettings = options.audioTrack?.getSettings?.() ?? {};
+    const sampleRate = audioSettings.sampleRate || 48_000;
+    const numberOfChannels = audioSettings.channelCount || 2;
+
+    for (const pair of candidatePairs(options.width, options.height)) {
+        const video = {
+            codec: pair.video,
+            width: options.width,
+            height: options.height,
+            bitrate: options.videoBitsPerSecond,
+            framerate: options.frameRate,
+            latencyMode: 'realtime',
+            ...pair.videoExtras
+        };
+        if (!(await isSupported(VideoEncoder, video))) {
+            continue;
+        }
+
+        let audio = null;
+        if (options.audioTrack) {
+            audio = { codec: pair.audio, sampleRate, numberOfChannels, bitrate: options.audioBitsPerSecond };
+            if (!(await isSupported(AudioEncoder, audio))) {
+                continue;
+            }
+        }
+
+        const codecs = audio ? `${pair.video},${pair.audio}` : pair.video;
+        return { video, audio, mimeType: `video/mp4;codecs="${codecs}"` };
+    }
+
+    return null;
+}
+
+function copyAudioData(data, timestamp) {
+    const planar = data.format.endsWith('-planar');
+    const planes = planar ? data.numberOfChannels : 1;
+    const sizes = [];
+    for (let planeIndex = 0; planeIndex < planes; planeIndex += 1) {
+        sizes.push(data.allocationSize({ planeIndex }));
+    }
+
+    const buffer = new Uint8Array(sizes.reduce((total, size) => total + size, 0));
+    let offset = 0;
+    sizes.forEach((size, planeIndex) => {
+        data.copyTo(buffer.subarray(offset, offset + size), { planeIndex });
+        offset += size;
+    });
+
+    return new AudioData({
+        format: data.format,
+        sampleRate: data.sampleRate,
+        numberOfFrames: data.numberOfFrames,
+        numberOfChannels: data.numberOfChannels,
+        timestamp,
+        data: buffer
+    });
+}
+
+export class WebCodecsRecorder extends EventTarget {
+    constructor(stream, config) {
+        super();
+        this.stream = stream;
+        this.config = { ...config, audio: config.audio ? { ...config.audio } : null };
+        this.mimeType = config.mimeType;
+        this.videoBitsPerSecond = config.video.bitrate;
+        this.audioBitsPerSecond = config.audio?.bitrate;
+        this.ondataavailable = null;
+        this.onerror = null;
+        this.onstop = null;
+        // Set after stop: the init segment rewritten with the final duration, to replace the first chunk
+        this.finalizedHeader = null;
+        this._state = 'inactive';
+        this._readers = [];
+        this._loops = [];
+        this._ready = null;
+        this._audioMismatchReported = false;
+        this._startedAt = 0;
+        this._pausedAt = null;
+        this._pausedTotalMs = 0;
+        this._lastKeyframeUs = null;
+        this._lastVideoUs = -1;
+        this._audioBaseUs = null;
+        this._audioFrames = 0;
+        this._failed = false;
+    }
+
+    get state() {
+        return this._state;
+    }
+
+    start() {
+        if (this._state !== 'inactive') {
+            throw new DOMException('The recorder has already been started.', 'InvalidStateError');
+        }
+
+        const videoTrack = this.stream.getVideoTracks()[0];
+        const audioTrack = this.config.audio ? this.stream.getAudioTracks()[0] : null;
+        this._state = 'recording';
+        this._startedAt = performance.now();
+        this._ready = this.begin(videoTrack, audioTrack).catch((error) => this.fail(error));
+    }
+
+    // The track settings can disagree with what the audio graph actually delivers, and the MP4 init
+    // segment (sample rate, channels, timescale) cannot change once written, so the audio
+    // configuration is taken from the first AudioData before the muxer and encoders are created.
+    async begin(videoTrack, audioTrack) {
+        const audioReader = audioTrack ? this.openReader(audioTrack) : null;
+        let firstAudio = null;
+        if (audioReader) {
+            const { value, done } = await audioReader.read();
+            if (!done) {
+                firstAudio = value;
+                this.config.audio.sampleRate = value.sampleRate;
+                this.config.audio.numberOfChannels = value.numberOfChannels;
+            }
+        }
+
+        try {
+            // Fragments are cut on keyframes, so there is no timeslice: data arrives every keyframe interval
+            this._muxer = new Mp4Muxer({
+                video: this.config.video,
+                audio: this.config.audio,
+                onData: (bytes) => this.emitData(bytes)
+            });
+
+            this._videoEncoder = new VideoEncoder({
+                output: (chunk, metadata) => this._muxer.addVideoChunk(chunk, metadata),
+                error: (error) => this.fail(error)
+            });
+            this._videoEncoder.configure(this.config.video);
+
+            if (audioReader) {
+                this._audioEncoder = new AudioEncoder({
+                    output: (chunk, metadata) => this._muxer.addAudioChunk(chunk, metadata),
+                    error: (error) => this.fail(error)
+                });
+                this._audioEncoder.configure(this.config.audio);
+            }
+
+            if (firstAudio) {
+                this.encodeAudio(firstAudio);
+            }
+        } finally {
+            firstAudio?.close();
+        }
+
+        // Stopped while waiting for the first sample: finish() has already cancelled the readers
+        if (this._state === 'inactive') {
+            return;
+        }
+        this._loops.push(this.pump(this.openReader(videoTrack), (frame) => this.encodeVideo(frame)));
+        if (audioReader) {
+            this._loops.push(this.pump(audioReader, (data) => this.encodeAudio(data)));
+        }
+    }
+
+    pause() {
+        if (this._state !== 'recording') {
+            return;
+        }
+        this._state = 'paused';
+        this._pausedAt = performance.now();
+    }
+
+    resume() {
+        if (this._state !== 'paused') {
+            return;
+        }
+        this._pausedTotalMs += performance.now() - this._pausedAt;
+        this._pausedAt = null;
+        this._state = 'recording';
+        // Start the resumed section on a keyframe and restart audio timing after the gap
+        this._lastKeyframeUs = null;
+        this._audioBaseUs = null;
+    }
+
+    // Closes the current fragment early so everything encoded so far reaches ondataavailable
+    requestData() {
+        if (this._state === 'inactive') {
+            return;
+        }
+        Promise.resolve(this._ready)
+            .then(() => Promise.all([this._videoEncoder?.flush(), this._audioEncoder?.flush()]))
+            .then(() => this._muxer?.flushFragment())
+            .catch((error) => this.fail(error));
+    }
+
+    stop() {
+        if (this._state === 'inactive') {
+            return;
+        }
+        this._state = 'inactive';
+        // Like MediaRecorder, 'stop' always follows, after 'error' when finishing failed, so callers
+        // waiting for it are never left hanging
+        this.finish()
+            .catch((error) => this.reportError(error))
+            .finally(() => {
+                const event = new Event('stop');
+                this.onstop?.(event);
+                this.dispatchEvent(event);
+            });
+    }
+
+    async finish() {
+        const encoders = () => [this._videoEncoder, this._audioEncoder].filter((encoder) => encoder && encoder.state !== 'closed');
+        try {
+            this._readers.forEach((reader) => reader.cancel().catch(() => { }));
+            await this._ready;
+            await Promise.allSettled(this._loops);
+            await Promise.all(encoders().map((encoder) => encoder.flush().catch(() => { })));
+        } finally {
+            encoders().forEach((encoder) => {
+                try {
+                    encoder.close();
+                } catch (error) {
+                    console.warn('Failed to close encoder', error);
+                }
+            });
+
+            const header = this._muxer?.finalize();
+            this.finalizedHeader = header ? new Blob([header], { type: 'video/mp4' }) : null;
+        }
+    }
+
+    openReader(track) {
+        const reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+        this._readers.push(reader);
+        return reader;
+    }
+
+    async pump(reader, handle) {
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) {
+                return;
+            }
+            try {
+                handle(value);
+            } catch (error) {
+                this.fail(error);
+            } finally {
+                value.close();
+            }
+        }
+    }
+
+    clockUs() {
+        return Math.round((performance.now() - this._startedAt - this._pausedTotalMs) * 1000);
+    }
+
+    encodeVideo(frame) {
+        if (this._state !== 'recording' || this._videoEncoder.state !== 'configured') {
+            return;
+        }
+        if (this._videoEncoder.encodeQueueSize > MAX_VIDEO_QUEUE) {
+            return;
+        }
+
+        const timestamp = this.clockUs();
+        if (timestamp <= this._lastVideoUs) {
+            return;
+        }
+        this._lastVideoUs = timestamp;
+
+        const keyFrame = this._lastKeyframeUs === null || timestamp - this._lastKeyframeUs >= KEYFRAME_INTERVAL_US;
+        if (keyFrame) {
+            this._lastKeyframeUs = timestamp;
+        }
+
+        // Re-stamp with the recording clock so pauses leave no gap in the output
+        const stamped = new VideoFrame(frame, { timestamp });
+        try {
+            this._videoEncoder.encode(stamped, { keyFrame });
+        } finally {
+            stamped.close();
+        }
+    }
+
+    encodeAudio(data) {
+        if (this._state !== 'recording' || this._audioEncoder.state !== 'configured') {
+            return;
+        }
+
+        const { audio } = this.config;
+        if (data.sampleRate !== audio.sampleRate || data.numberOfChannels !== audio.numberOfChannels) {
+            // The init segment is already fixed to the first sample's format, so a change cannot be muxed
+            if (!this._audioMismatchReported) {
+                this._audioMismatchReported = true;
+                console.warn(`Dropping audio that changed format mid-recording (${data.sampleRate} Hz, ${data.numberOfChannels} channels)`);
+            }
+            return;
+        }
+
+        // Audio timing follows the sample count, which stays gapless between pauses
+        if (this._audioBaseUs === null) {
+            this._audioBaseUs = this.clockUs();
+            this._audioFrames = 0;
+        }
+        const timestamp = this._audioBaseUs + Math.round((this._audioFrames / data.sampleRate) * 1_000_000);
+        this._audioFrames += data.numberOfFrames;
+
+        const stamped = copyAudioData(data, timestamp);
+        try {
+            this._audioEncoder.encode(stamped);
+        } finally {
+            stamped.close();
+        }
+    }
+
+    emitData(bytes) {
+        const event = new Event('dataavailable');
+        event.data = new Blob([bytes], { type: 'video/mp4' });
+        this.ondataavailable?.(event);
+        this.dispatchEvent(event);
+    }
+
+    reportError(error) {
+        if (this._failed) {
+            return;
+        }
+        this._failed = true;
+        console.error('WebCodecs recorder error', error);
+        const event = new Event('error');
+        event.error = error;
+        this.onerror?.(event);
+        this.dispatchEvent(event);
+    }
+
+    fail(error) {
+        this.reportError(error);
+        // Like MediaRecorder, an error ends the recording; what was muxed so far stays usable
+        this.stop();
+    }
+}
@@ -0,0 +1,475 @@
+// Post-processes MediaRecorder WebM output, which is written as a live stream: the Segment and
+// Clusters have unknown sizes, Info has no Duration and there is no Cues index, so players report an
+// infinite length and cannot seek. fixWebmMetadata rebuilds the Segment with known sizes, a Duration,
+// a SeekHead and Cues pointing at keyframe clusters. Cluster payloads are reused as Blob slices, so
+// even long recordings are never copied into memory.
+
+const EBML_ID = 0x1a45dfa3;
+const SEGMENT_ID = 0x18538067;
+const SEEK_HEAD_ID = 0x114d9b74;
+const SEEK_ID = 0x4dbb;
+const SEEK_ID_ID = 0x53ab;
+const SEEK_POSITION_ID = 0x53ac;
+const INFO_ID = 0x1549a966;
+const DURATION_ID = 0x4489;
+const TRACKS_ID = 0x1654ae6b;
+const TRACK_ENTRY_ID = 0xae;
+const TRACK_NUMBER_ID = 0xd7;
+const TRACK_TYPE_ID = 0x83;
+const CLUSTER_ID = 0x1f43b675;
+const CLUSTER_TIMECODE_ID = 0xe7;
+const SIMPLE_BLOCK_ID = 0xa3;
+const BLOCK_GROUP_ID = 0xa0;
+const BLOCK_ID = 0xa1;
+const REFERENCE_BLOCK_ID = 0xfb;
+const CUES_ID = 0x1c53bb6b;
+const CUE_POINT_ID = 0xbb;
+const CUE_TIME_ID = 0xb3;
+const CUE_TRACK_POSITIONS_ID = 0xb7;
+const CUE_TRACK_ID = 0xf7;
+const CUE_CLUSTER_POSITION_ID = 0xf1;
+const VOID_ID = 0xec;
+
+// Elements that may appear inside a Cluster; anything else ends a Cluster of unknown size
+const CLUSTER_CHILD_IDS = new Set([CLUSTER_TIMECODE_ID, 0x5854, 0xa7, 0xab, BLOCK_GROUP_ID, SIMPLE_BLOCK_ID, 0xaf, VOID_ID, 0xbf]);
+// Regenerated from scratch, so any existing copies are dropped
+const REBUILT_IDS = new Set([SEEK_HEAD_ID, CUES_ID, VOID_ID]);
+
+const TRACK_TYPE_VIDEO = 1;
+const READ_WINDOW_BYTES = 1 << 20;
+const FIXED_SIZE_WIDTH = 8;
+
+// ============ Reading ============
+
+class BlobReader {
+    constructor(blob) {
+        this.blob = blob;
+        this.size = blob.size;
+        this.windowStart = 0;
+        this.window = new Uint8Array(0);
+    }
+
+    // Returns up to `length` bytes at `offset`; fewer only at the end of the blob
+    async bytes(offset, length) {
+        const end = Math.min(this.size, offset + length);
+        if (offset < this.windowStart || end > this.windowStart + this.window.byteLength) {
+            const windowEnd = Math.min(this.size, offset + Math.max(length, READ_WINDOW_BYTES));
+            this.window = new Uint8Array(await this.blob.slice(offset, windowEnd).arrayBuffer());
+            this.windowStart = offset;
+        }
+        return this.window.subarray(offset - this.windowStart, end - this.windowStart);
+    }
+}
+
+function vintLength(firstByte) {
+    for (let length = 1; length <= 8; length += 1) {
+        if (firstByte & (0x80 >> (length - 1))) {
+            return length;
+        }
+    }
+    return 0;
+}
+
+// IDs keep their length marker; sizes drop it. An all-ones size means "unknown" (live streaming).
+function decodeVint(bytes, offset, keepMarker) {
+    const length = vintLength(bytes[offset]);
+    if (length === 0 || offset + length > bytes.byteLength) {
+        return null;
+    }
+
+    let value = keepMarker ? bytes[offset] : bytes[offset] & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let i = 1; i < length; i += 1) {
+        value = value * 256 + bytes[offset + i];
+        allOnes = allOnes && bytes[offset + i] === 0xff;
+    }
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+async function readElementHeader(reader, offset) {
+    const bytes = await reader.bytes(offset, 12);
+    const id = decodeVint(bytes, 0, true);
+    if (!id) {
+        return null;
+    }
+    const size = decodeVint(bytes, id.length, false);
+    if (!size) {
+        return null;
+    }
+
+    const dataStart = offset + id.length + size.length;
+    return {
+        id: id.value,
+        offset,
+        dataStart,
+        size: size.unknown ? null : size.value,
+        end: size.unknown ? null : dataStart + size.value
+    };
+}
+
+function readUint(bytes) {
+    let value = 0;
+    for (const byte of bytes) {
+        value = value * 256 + byte;
+    }
+    return value;
+}
+
+// Iterates the children of an element already loaded into memory
+function* children(bytes, start = 0, end = bytes.byteLength) {
+    let offset = start;
+    while (offset < end) {
+        const id = decodeVint(bytes, offset, true);
+        const size = id && decodeVint(bytes, offset + id.length, false);
+        if (!size || size.unknown) {
+            return;
+        }
+        const dataStart = offset + id.length + size.length;
+        const dataEnd = dataStart + size.value;
+        if (dataEnd > end) {
+            return;
+        }
+        yield { id: id.value, offset, dataStart, dataEnd };
+        offset = dataEnd;
+    }
+}
+
+function parseTracks(bytes) {
+    const tracks = [];
+    for (const entry of children(bytes)) {
+        if (entry.id !== TRACK_ENTRY_ID) {
+            continue;
+        }
+        const track = { number: 0, type: 0 };
+        for (const field of children(bytes, entry.dataStart, entry.dataEnd)) {
+            if (field.id === TRACK_NUMBER_ID) {
+                track.number = readUint(bytes.subarray(field.dataStart, field.dataEnd));
+            } else if (field.id === TRACK_TYPE_ID) {
+                track.type = readUint(bytes.subarray(field.dataStart, field.dataEnd));
+            }
+        }
+        tracks.push(track);
+    }
+    return tracks;
+}
+
+// Track number, timecode relative to the cluster and (for SimpleBlocks) the keyframe flag
+function parseBlockHeader(bytes) {
+    const track = decodeVint(bytes, 0, false);
+    if (!track || bytes.byteLength < track.length + 3) {
+        return null;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+        track: track.value,
+        relativeTime: view.getInt16(track.length),
+        keyframe: (bytes[track.length + 2] & 0x80) !== 0
+    };
+}
+
+async function readBlockGroup(reader, header) {
+    const bytes = await reader.bytes(header.dataStart, header.size);
+    let block = null;
+    let referenced = false;
+    for (const child of children(bytes)) {
+        if (child.id === BLOCK_ID) {
+            block = parseBlockHeader(bytes.subarray(child.dataStart, Math.min(child.dataEnd, child.dataStart + 12)));
+        } else if (child.id === REFERENCE_BLOCK_ID) {
+            referenced = true;
+        }
+    }
+    return block ? { ...block, keyframe: !referenced } : null;
+}
+
+// Walks one Cluster, stopping at its declared end or, for unknown sizes, at the first element that
+// cannot belong to it. A recording cut off mid-block (e.g. after a crash) ends at the last whole one.
+async function scanCluster(reader, header, limit) {
+    const cluster = { offset: header.offset, dataStart: header.dataStart, dataEnd: header.dataStart, timecode: 0, keyframes: [], blocks: [] };
+    const end = header.end ?? limit;
+    let offset = header.dataStart;
+
+    while (offset < end) {
+        const child = await readElementHeader(reader, offset);
+        if (!child || child.size === null || child.end > reader.size || !CLUSTER_CHILD_IDS.has(child.id)) {
+            break;
+        }
+
+        if (child.id === CLUSTER_TIMECODE_ID) {
+            cluster.timecode = readUint(await reader.bytes(child.dataStart, child.size));
+        } else if (child.id === SIMPLE_BLOCK_ID || child.id === BLOCK_GROUP_ID) {
+            const block = child.id === SIMPLE_BLOCK_ID
+                ? parseBlockHeader(await reader.bytes(child.dataStart, Math.min(child.size, 12)))
+                : await readBlockGroup(reader, child);
+            if (block) {
+                cluster.blocks.push({ track: block.track, time: cluster.timecode + block.relativeTime });
+                if (block.keyframe) {
+                    cluster.keyframes.push({ track: block.track, time: cluster.timecode + block.relativeTime });
+                }
+            }
+        }
+
+        offset = child.end;
+        cluster.dataEnd = offset;
+    }
+
+    return cluster;
+}
+
+async function parseWebm(blob) {
+    const reader = new BlobReader(blob);
+    const ebml = await readElementHeader(reader, 0);
+    if (!ebml || ebml.id !== EBML_ID || ebml.end === null) {
+        return null;
+    }
+
+    const segment = await readElementHeader(reader, ebml.end);
+    if (!segment || segment.id !== SEGMENT_ID) {
+        return null;
+    }
+
+    const result = {
+        headerEnd: ebml.end,
+        info: null,
+        tracks: null,
+        tracksDataOffset: 0,
+        others: [],
+        clusters: [],
+        hasDuration: false,
+        hasCues: false
+    };
+    const segmentEnd = Math.min(segment.end ?? reader.size, reader.size);
+    let offset = segment.dataStart;
+
+    while (offset < segmentEnd) {
+        const header = await readElementHeader(reader, offset);
+        if (!header) {
+            break;
+        }
+
+        if (header.id === CLUSTER_ID) {
+            const cluster = await scanCluster(reader, header, segmentEnd);
+            if (cluster.dataEnd > cluster.dataStart) {
+                result.clusters.push(cluster);
+            }
+            if (cluster.dataEnd === cluster.dataStart || (header.end !== null && cluster.dataEnd < header.end)) {
+                // Nothing usable, or cut off part-way through: stop here
+                break;
+            }
+            offset = cluster.dataEnd;
+            continue;
+        }
+
+        if (header.size === null || header.end > reader.size) {
+            // Only Clusters are written with unknown sizes; anything else means a damaged file
+            break;
+        }
+
+        // Copied out because the reader's window is reused
+        if (header.id === INFO_ID) {
+            result.info = (await reader.bytes(header.dataStart, header.size)).slice();
+            result.hasDuration = [...children(result.info)].some((child) => child.id === DURATION_ID);
+        } else if (header.id === TRACKS_ID) {
+            result.tracks = (await reader.bytes(header.offset, header.end - header.offset)).slice();
+            result.tracksDataOffset = header.dataStart - header.offset;
+        } else if (header.id === CUES_ID) {
+            result.hasCues = true;
+        } else if (!REBUILT_IDS.has(header.id)) {
+            result.others.push(blob.slice(header.offset, header.end));
+        }
+        offset = header.end;
+    }
+
+    return result.info && result.tracks && result.clusters.length > 0 ? result : null;
+}
+
+// ============ Writing ============
+
+function encodeId(id) {
+    const length = id >= 0x1000000 ? 4 : id >= 0x10000 ? 3 : id >= 0x100 ? 2 : 1;
+    return encodeUint(id, length);
+}
+
+function encodeUint(value, length) {
+    const bytes = new Uint8Array(length);
+    let remaining = value;
+    for (let i = length - 1; i >= 0; i -= 1) {
+        bytes[i] = remaining % 256;
+        remaining = Math.floor(remaining / 256);
+    }
+    return bytes;
+}
+
+function minimalUintLength(value) {
+    let length = 1;
+    while (length < 8 && value >= 2 ** (8 * length)) {
+        length += 1;
+    }
+    return length;
+}
+
+function encodeSize(size, width = null) {
+    let length = width ?? 1;
+    // The all-ones value of each width is reserved for "unknown size"
+    while (size >= 2 ** (7 * length) - 1) {
+        length += 1;
+    }
+    const bytes = encodeUint(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function concatBytes(parts) {
+    const length = parts.reduce((total, part) => total + part.byteLength, 0);
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.byteLength;
+    }
+    return result;
+}
+
+function element(id, payload) {
+    const body = Array.isArray(payload) ? concatBytes(payload) : payload;
+    return concatBytes([encodeId(id), encodeSize(body.byteLength), body]);
+}
+
+function uintElement(id, value, width = minimalUintLength(value)) {
+    return element(id, encodeUint(value, width));
+}
+
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, bytes);
+}
+
+function buildInfo(info, durationUnits) {
+    const kept = [...children(info)]
+        .filter((child) => child.id !== DURATION_ID)
+        .map((child) => info.subarray(child.offset, child.dataEnd));
+    return element(INFO_ID, [...kept, floatElement(DURATION_ID, durationUnits)]);
+}
+
+// Positions are written 8 bytes wide so the layout can be measured before they are known
+function buildSeekHead(positions) {
+    return element(SEEK_HEAD_ID, positions.map(({ id, position }) => element(SEEK_ID, [
+        element(SEEK_ID_ID, encodeId(id)),
+        uintElement(SEEK_POSITION_ID, position, 8)
+    ])));
+}
+
+function buildCues(cuePoints) {
+    return element(CUES_ID, cuePoints.map((cue) => element(CUE_POINT_ID, [
+        uintElement(CUE_TIME_ID, cue.time, 8),
+        element(CUE_TRACK_POSITIONS_ID, [
+            uintElement(CUE_TRACK_ID, cue.track, 1),
+            uintElement(CUE_CLUSTER_POSITION_ID, cue.position, 8)
+        ])
+    ])));
+}
+
+function clusterHeader(cluster) {
+    return concatBytes([encodeId(CLUSTER_ID), encodeSize(cluster.dataEnd - cluster.dataStart, FIXED_SIZE_WIDTH)]);
+}
+
+// The last block's timestamp plus one frame of its track; the shortest gap between blocks is taken
+// as the frame length, since longer ones span dropped frames or pauses
+function computeDuration(clusters) {
+    const tracks = new Map();
+    for (const cluster of clusters) {
+        for (const block of cluster.blocks) {
+            const track = tracks.get(block.track);
+            if (!track) {
+                tracks.set(block.track, { last: block.time, frame: Infinity });
+            } else if (block.time > track.last) {
+                track.frame = Math.min(track.frame, block.time - track.last);
+                track.last = block.time;
+            }
+        }
+    }
+
+    let duration = 0;
+    for (const { last, frame } of tracks.values()) {
+        duration = Math.max(duration, last + (Number.isFinite(frame) ? frame : 0));
+    }
+    return duration;
+}
+
+function looksLikeWebm(blob) {
+    return !blob.type || /webm|matroska/i.test(blob.type);
+}
+
+// Resolves to a seekable copy of a WebM blob, or the blob itself when it already has a Duration and
+// Cues, is not WebM, or cannot be parsed.
+export async function fixWebmMetadata(blob) {
+    if (!blob || blob.size === 0 || !looksLikeWebm(blob)) {
+        return blob;
+    }
+
+    let parsed;
+    try {
+        parsed = await parseWebm(blob);
+    } catch (error) {
+        console.warn('Unable to parse WebM recording', error);
+        return blob;
+    }
+    if (!parsed || (parsed.hasDuration && parsed.hasCues)) {
+        return blob;
+    }
+
+    const trackList = parseTracks(parsed.tracks.subarray(parsed.tracksDataOffset)).filter((track) => track.number > 0);
+    const videoTrack = trackList.find((track) => track.type === TRACK_TYPE_VIDEO);
+    const cueTrack = videoTrack?.number ?? trackList[0]?.number ?? 1;
+
+    const info = buildInfo(parsed.info, computeDuration(parsed.clusters));
+    const others = parsed.others;
+    const othersSize = others.reduce((total, part) => total + part.size, 0);
+
+    const cueSources = parsed.clusters
+        .map((cluster, index) => ({ index, keyframe: cluster.keyframes.find((keyframe) => keyframe.track === cueTrack) }))
+        .filter((entry) => entry.keyframe);
+    const placeholderCues = buildCues(cueSources.map((entry) => ({ time: entry.keyframe.time, track: cueTrack, position: 0 })));
+    const placeholderSeekHead = buildSeekHead([
+        { id: INFO_ID, position: 0 },
+        { id: TRACKS_ID, position: 0 },
+        { id: CUES_ID, position: 0 }
+    ]);
+
+    // Layout inside the Segment: SeekHead, Info, Tracks, other top-level elements, Cues, Clusters
+    const infoPosition = placeholderSeekHead.byteLength;
+    const tracksPosition = infoPosition + info.byteLength;
+    const cuesPosition = tracksPosition + parsed.tracks.byteLength + othersSize;
+    const clusterPositions = [];
+    let position = cuesPosition + placeholderCues.byteLength;
+    const clusterParts = [];
+    for (const cluster of parsed.clusters) {
+        clusterPositions.push(position);
+        const header = clusterHeader(cluster);
+        clusterParts.push(header, blob.slice(cluster.dataStart, cluster.dataEnd));
+        position += header.byteLength + (cluster.dataEnd - cluster.dataStart);
+    }
+
+    const seekHead = buildSeekHead([
+        { id: INFO_ID, position: infoPosition },
+        { id: TRACKS_ID, position: tracksPosition },
+        { id: CUES_ID, position: cuesPosition }
+    ]);
+    const cues = buildCues(cueSources.map((entry) => ({
+        time: entry.keyframe.time,
+        track: cueTrack,
+        position: clusterPositions[entry.index]
+    })));
+    const segmentHeader = concatBytes([encodeId(SEGMENT_ID), encodeSize(position, FIXED_SIZE_WIDTH)]);
+
+    return new Blob([
+        blob.slice(0, parsed.headerEnd),
+        segmentHeader,
+        seekHead,
+        info,
+        parsed.tracks,
+        ...others,
+        cues,
+        ...clusterParts
+    ], { type: blob.type || 'video/webm' });
+}
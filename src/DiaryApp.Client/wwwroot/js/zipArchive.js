@@ -0,0 +1,186 @@
+// Minimal ZIP support for portable archives. Entries are stored uncompressed: recordings are
+// already compressed, and skipping deflate keeps the writer dependency-free and streaming-friendly.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const MAX_ZIP32_SIZE = 0xffffffff;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n += 1) {
+            let c = n;
+            for (let k = 0; k < 8; k += 1) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+async function crc32(blob) {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+    const reader = blob.stream().getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        for (let i = 0; i < value.length; i += 1) {
+            crc = table[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function localHeader(name, crc, size, stamp) {
+    const header = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE));
+    header.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    header.setUint16(4, VERSION, true);
+    header.setUint16(6, UTF8_FLAG, true);
+    header.setUint16(8, METHOD_STORE, true);
+    header.setUint16(10, stamp.time, true);
+    header.setUint16(12, stamp.date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, size, true);
+    header.setUint32(22, size, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+    return header.buffer;
+}
+
+function centralHeader(name, crc, size, stamp, offset) {
+    const header = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE));
+    header.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    header.setUint16(4, VERSION, true);
+    header.setUint16(6, VERSION, true);
+    header.setUint16(8, UTF8_FLAG, true);
+    header.setUint16(10, METHOD_STORE, true);
+    header.setUint16(12, stamp.time, true);
+    header.setUint16(14, stamp.date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, size, true);
+    header.setUint32(24, size, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+    return header.buffer;
+}
+
+// files: [{ name, data: Blob | string | ArrayBuffer | Uint8Array, modifiedAt?: Date }]
+export async function createZip(files) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const blob = file.data instanceof Blob ? file.data : new Blob([file.data]);
+        const crc = await crc32(blob);
+        const stamp = toDosDateTime(file.modifiedAt ?? new Date());
+
+        directory.push(centralHeader(name, crc, blob.size, stamp, offset), name);
+        parts.push(localHeader(name, crc, blob.size, stamp), name, blob);
+        offset += LOCAL_HEADER_SIZE + name.length + blob.size;
+        if (offset > MAX_ZIP32_SIZE) {
+            throw new Error('The archive is larger than 4 GB; export fewer entries at a time.');
+        }
+    }
+
+    const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end.buffer], { type: 'application/zip' });
+}
+
+async function readView(blob, start, length) {
+    return new DataView(await blob.slice(start, start + length).arrayBuffer());
+}
+
+async function findEndOfCentralDirectory(blob) {
+    const tailSize = Math.min(blob.size, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE);
+    const tailStart = blob.size - tailSize;
+    const tail = await readView(blob, tailStart, tailSize);
+    for (let i = tailSize - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i -= 1) {
+        if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            return {
+                count: tail.getUint16(i + 10, true),
+                size: tail.getUint32(i + 12, true),
+                offset: tail.getUint32(i + 16, true)
+            };
+        }
+    }
+    throw new Error('The file is not a valid archive.');
+}
+
+// Returns [{ name, size, blob() }] for every file entry; directories are skipped
+export async function readZip(blob) {
+    const end = await findEndOfCentralDirectory(blob);
+    const directory = await readView(blob, end.offset, end.size);
+    const entries = [];
+
+    let position = 0;
+    for (let i = 0; i < end.count; i += 1) {
+        if (directory.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('The archive directory is corrupt.');
+        }
+
+        const method = directory.getUint16(position + 10, true);
+        const compressedSize = directory.getUint32(position + 20, true);
+        const nameLength = directory.getUint16(position + 28, true);
+        const extraLength = directory.getUint16(position + 30, true);
+        const commentLength = directory.getUint16(position + 32, true);
+        const localOffset = directory.getUint32(position + 42, true);
+        const nameBytes = new Uint8Array(directory.buffer, directory.byteOffset + position + CENTRAL_HEADER_SIZE, nameLength);
+        const name = decoder.decode(nameBytes);
+        position += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+
+        entries.push({
+            name,
+            size: compressedSize,
+            blob: async () => {
+                if (method !== METHOD_STORE) {
+                    throw new Error(`'${name}' is compressed; only archives exported by this app can be imported.`);
+                }
+                const local = await readView(blob, localOffset, LOCAL_HEADER_SIZE);
+                if (local.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+                    throw new Error(`The archive entry '${name}' is corrupt.`);
+                }
+                const dataStart = localOffset + LOCAL_HEADER_SIZE + local.getUint16(26, true) + local.getUint16(28, true);
+                return blob.slice(dataStart, dataStart + compressedSize);
+            }
+        });
+    }
+
+    return entries;
+}
@@ -4,12 +4,35 @@ const OFFLINE_FALLBACKS = ['/', 'index.html'];
 
 importScripts('./service-worker-assets.js');
 
+// Must stay in sync with wwwroot/js/outgoingQueue.js
+const OUTGOING_DB_NAME = 'diaryapp-outgoing';
+const OUTGOING_STORE_NAME = 'outgoingEntries';
+const OUTGOING_CHUNK_STORE_NAME = 'outgoingChunks';
+const OUTGOING_SYNC_TAG = 'diaryapp-outgoing-sync';
+const UPLOAD_CHUNK_SIZE_BYTES = 5 * 1024 * 1024;
+
+// Runtime caches deliberately avoid the 'diary-app-' prefix so app updates do not wipe offline data.
+// API responses and offline media are partitioned per signed-in user; see setCacheUser below.
+// Entry previews are generated in the page and kept in IndexedDB (js/filmstripStore.js), not here.
+const RUNTIME_CACHE_PREFIX = 'diaryapp-runtime-';
+const SESSION_CACHE_NAME = `${RUNTIME_CACHE_PREFIX}session`;
+const CACHE_USER_KEY = 'cache-user';
+const API_CACHE_LIMIT = 200;
+const ENTRY_API_PATTERN = /^api\/entries(?:\/[0-9a-f-]{36}(?:\/(?:summary|transcript|title))?)?\/?$/i;
+const ENTRY_MUTATION_PATTERN = /^api\/entries(?:\/([0-9a-f-]{36}))?/i;
+const ENTRY_MEDIA_PATTERN = /^api\/entries\/([0-9a-f-]{36})\/media\/?$/i;
+
+let outgoingFlush = null;
+let cacheUser;
+let cacheUserCheck = null;
+
 const assetUrls = (globalThis.assetsManifest?.assets ?? [])
     .map(asset => new URL(asset.url, self.location).toString())
     .concat(OFFLINE_FALLBACKS);
 
 self.addEventListener('install', event => {
-    self.skipWaiting();
+    // A new version waits until the page calls applyUpdate() (js/serviceWorkerUpdates.js), so framework
+    // assets are never swapped under a running recording or upload
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then(cache => cache.addAll(assetUrls))
@@ -26,8 +49,66 @@ self.addEventListener('activate', event => {
     );
 });
 
+self.addEventListener('sync', event => {
+    if (event.tag === OUTGOING_SYNC_TAG) {
+        event.waitUntil(flushOutgoingQueue());
+    }
+});
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === OUTGOING_SYNC_TAG) {
+        event.waitUntil(flushOutgoingQueue().catch(error => console.warn('Periodic outgoing sync failed', error)));
+    }
+});
+
+self.addEventListener('message', event => {
+    if (event.data?.type === 'skip-waiting') {
+        self.skipWaiting();
+        return;
+    }
+    // Fallback for browsers without Background Sync: pages ask for a flush when they come online
+    if (event.data?.type === 'flush-outgoing') {
+        event.waitUntil(flushOutgoingQueue().catch(error => console.warn('Outgoing flush failed', error)));
+    }
+    if (event.data?.type === 'set-cache-user') {
+        event.waitUntil(setCacheUser(event.data.user ?? null));
+    }
+    if (event.data?.type === 'offline-media') {
+        event.waitUntil(handleOfflineMediaMessage(event.data, event.ports[0]));
+    }
+});
+
 self.addEventListener('fetch', event => {
+    const path = scopeRelativePath(event.request.url);
+
     if (event.request.method !== 'GET') {
+        // Writes to an entry make its cached copies and the list stale
+        const mutation = path?.match(ENTRY_MUTATION_PATTERN);
+        const isUploadChunk = path?.startsWith('api/entries/uploads/') && !path.endsWith('/complete');
+        if (mutation && !isUploadChunk) {
+            event.waitUntil(invalidateEntryCache(mutation[1] ?? null, event.request.method === 'DELETE'));
+        }
+        return;
+    }
+
+    if (event.request.mode === 'navigate' && path === 'logout') {
+        event.waitUntil(setCacheUser(null));
+        return;
+    }
+
+    if (event.request.mode === 'navigate') {
+        // Sign-ins and account switches happen through navigations; check the owner again afterwards
+        cacheUserCheck = null;
+    }
+
+    const media = path?.match(ENTRY_MEDIA_PATTERN);
+    if (media) {
+        event.respondWith(handleMediaRequest(event.request, media[1]));
+        return;
+    }
+
+    if (path && ENTRY_API_PATTERN.test(path)) {
+        event.respondWith(handleRuntimeRequest(event, 'api', API_CACHE_LIMIT, staleWhileRevalidate));
         return;
     }
 
@@ -54,3 +135,522 @@ self.addEventListener('fetch', event => {
         })
     );
 });
+
+// ============ Runtime caching ============
+
+function scopeRelativePath(url) {
+    const scope = self.registration.scope;
+    return url.startsWith(scope) ? url.slice(scope.length).split(/[?#]/)[0] : null;
+}
+
+function runtimeCacheName(kind, user) {
+    return `${RUNTIME_CACHE_PREFIX}${kind}-${user}`;
+}
+
+async function getCacheUser() {
+    if (cacheUser === undefined) {
+        // The worker may have been restarted since the page last told us who is signed in
+        const session = await caches.open(SESSION_CACHE_NAME);
+        const stored = await session.match(CACHE_USER_KEY);
+        cacheUser = stored ? (await stored.text()) || null : null;
+    }
+    return cacheUser;
+}
+
+// Mirrors hashIdentity in js/offlineCache.js; the worker cannot import page modules
+async function hashIdentity(identity) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(identity));
+    return Array.from(new Uint8Array(digest).slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Resolves to the hashed account of whoever the server says is signed in (null for nobody), or
+// undefined when the server cannot be asked
+async function fetchCacheUser() {
+    try {
+        const response = await fetch(new URL('authentication/status', self.registration.scope), {
+            credentials: 'same-origin',
+            cache: 'no-store'
+        });
+        if (!response.ok || response.redirected) {
+            return undefined;
+        }
+        const status = await response.json();
+        return status.accountId ? await hashIdentity(status.accountId) : null;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+async function verifyCacheUser() {
+    const [known, current] = await Promise.all([getCacheUser(), fetchCacheUser()]);
+    // Offline we keep serving the last known owner's partition
+    if (current === undefined || current === known) {
+        return known;
+    }
+
+    await setCacheUser(current);
+    return current;
+}
+
+// The page reports the owner too, but without waiting for it: confirm with the server before the
+// first cached response, so a new sign-in is never served the previous user's partition
+function getVerifiedCacheUser() {
+    if (!cacheUserCheck) {
+        cacheUserCheck = verifyCacheUser().catch(error => {
+            console.warn('Failed to verify the offline cache owner', error);
+            cacheUserCheck = null;
+            return getCacheUser();
+        });
+    }
+    return cacheUserCheck;
+}
+
+async function setCacheUser(user) {
+    cacheUser = user;
+    cacheUserCheck = Promise.resolve(user);
+    const session = await caches.open(SESSION_CACHE_NAME);
+    await session.put(CACHE_USER_KEY, new Response(user ?? ''));
+
+    // Drop every other user's partition so a shared device never shows a previous user's diary
+    const keep = user ? ['api', 'media'].map(kind => runtimeCacheName(kind, user)) : [];
+    const keys = await caches.keys();
+    await Promise.all(keys
+        .filter(key => key.startsWith(RUNTIME_CACHE_PREFIX) && key !== SESSION_CACHE_NAME && !keep.includes(key))
+        .map(key => caches.delete(key)));
+}
+
+async function invalidateEntryCache(entryId, deleted = false) {
+    const user = await getCacheUser();
+    if (!user) {
+        return;
+    }
+
+    if (entryId && deleted) {
+        const mediaCache = await caches.open(runtimeCacheName('media', user));
+        await mediaCache.delete(mediaCacheKey(entryId));
+    }
+
+    const cache = await caches.open(runtimeCacheName('api', user));
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(request => {
+            const path = scopeRelativePath(request.url) ?? '';
+            return /^api\/entries\/?$/i.test(path) || (entryId && path.toLowerCase().includes(entryId.toLowerCase()));
+        })
+        .map(request => cache.delete(request)));
+}
+
+async function trimCache(cache, limit) {
+    const requests = await cache.keys();
+    // Cache keys come back in insertion order, so the oldest entries go first
+    await Promise.all(requests.slice(0, Math.max(0, requests.length - limit)).map(request => cache.delete(request)));
+}
+
+function isCacheable(response) {
+    // Sign-in redirects and errors must never be replayed offline
+    return response.ok && !response.redirected && response.type === 'basic';
+}
+
+async function handleRuntimeRequest(event, kind, limit, strategy) {
+    const user = await getVerifiedCacheUser();
+    if (!user) {
+        return fetch(event.request);
+    }
+
+    const cache = await caches.open(runtimeCacheName(kind, user));
+    return strategy(event, cache, limit);
+}
+
+async function staleWhileRevalidate(event, cache, limit) {
+    const cached = await cache.match(event.request);
+    const network = fetch(event.request).then(async response => {
+        if (isCacheable(response)) {
+            await cache.put(event.request, response.clone());
+            await trimCache(cache, limit);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => { }));
+        return cached;
+    }
+    return network;
+}
+
+// ============ Offline media ============
+
+function mediaCacheKey(entryId) {
+    return new URL(`api/entries/${entryId.toLowerCase()}/media`, self.registration.scope).toString();
+}
+
+// Parses a single "bytes=" range. Returns undefined when the header should be ignored
+// (missing or multi-range) and null when it cannot be satisfied.
+function parseRange(header, size) {
+    const match = header ? /^bytes=(\d*)-(\d*)$/.exec(header.trim()) : null;
+    if (!match || (!match[1] && !match[2])) {
+        return undefined;
+    }
+
+    let start;
+    let end;
+    if (!match[1]) {
+        const suffix = Number(match[2]);
+        if (suffix === 0) {
+            return null;
+        }
+        start = Math.max(0, size - suffix);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    }
+
+    return start < size && start <= end ? { start, end } : null;
+}
+
+async function createRangeResponse(request, cached) {
+    const blob = await cached.blob();
+    const contentType = cached.headers.get('Content-Type') || blob.type || 'video/webm';
+    const range = parseRange(request.headers.get('Range'), blob.size);
+
+    if (range === undefined) {
+        return new Response(blob, {
+            status: 200,
+            headers: { 'Content-Type': contentType, 'Content-Length': String(blob.size), 'Accept-Ranges': 'bytes' }
+        });
+    }
+    if (range === null) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${blob.size}`, 'Accept-Ranges': 'bytes' }
+        });
+    }
+
+    const body = blob.slice(range.start, range.end + 1);
+    return new Response(body, {
+        status: 206,
+        headers: {
+            'Content-Type': contentType,
+            'Content-Length': String(body.size),
+            'Content-Range': `bytes ${range.start}-${range.end}/${blob.size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+async function handleMediaRequest(request, entryId) {
+    const user = await getVerifiedCacheUser();
+    if (user) {
+        const cache = await caches.open(runtimeCacheName('media', user));
+        const cached = await cache.match(mediaCacheKey(entryId));
+        if (cached) {
+            return createRangeResponse(request, cached);
+        }
+    }
+    return fetch(request);
+}
+
+async function cacheEntryMedia(cache, entryId) {
+    // Fetch the whole file without a Range header; partial responses cannot be stored
+    const response = await fetch(mediaCacheKey(entryId), { credentials: 'same-origin' });
+    if (!isCacheable(response) || response.status !== 200) {
+        throw new Error(`Downloading the video failed with status ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    await cache.put(mediaCacheKey(entryId), new Response(blob, {
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || blob.type || 'video/webm',
+            'Content-Length': String(blob.size)
+        }
+    }));
+    return blob.size;
+}
+
+async function handleOfflineMediaMessage(message, port) {
+    const reply = result => port?.postMessage(result);
+    try {
+        const user = await getVerifiedCacheUser();
+        if (!user) {
+            reply({ ok: false, error: 'Offline copies are only available while signed in.' });
+            return;
+        }
+
+        const cache = await caches.open(runtimeCacheName('media', user));
+        if (message.action === 'add') {
+            reply({ ok: true, sizeBytes: await cacheEntryMedia(cache, message.entryId) });
+        } else if (message.action === 'remove') {
+            reply({ ok: await cache.delete(mediaCacheKey(message.entryId)) });
+        } else {
+            const requests = await cache.keys();
+            const entryIds = requests
+                .map(request => scopeRelativePath(request.url)?.match(ENTRY_MEDIA_PATTERN)?.[1])
+                .filter(Boolean);
+            reply({ ok: true, entryIds });
+        }
+    } catch (error) {
+        const quota = error?.name === 'QuotaExceededError';
+        reply({ ok: false, error: quota ? 'Not enough storage space to keep this video offline.' : error?.message ?? String(error) });
+    }
+}
+
+// ============ Outgoing queue ============
+
+function openOutgoingDb() {
+    return new Promise((resolve, reject) => {
+        // Open without a version so the page stays in charge of schema upgrades
+        const request = indexedDB.open(OUTGOING_DB_NAME);
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function readOutgoingKeys() {
+    let db;
+    try {
+        db = await openOutgoingDb();
+    } catch (error) {
+        // Nothing has ever been queued on this device
+        return [];
+    }
+
+    try {
+        if (!db.objectStoreNames.contains(OUTGOING_STORE_NAME)) {
+            return [];
+        }
+        const store = db.transaction(OUTGOING_STORE_NAME, 'readonly').objectStore(OUTGOING_STORE_NAME);
+        return await requestToPromise(store.getAllKeys());
+    } finally {
+        db.close();
+    }
+}
+
+// Mirrors entryMimeType in outgoingQueue.js
+const OUTGOING_EXTENSION_MIME_TYPES = {
+    webm: 'video/webm',
+    mp4: 'video/mp4',
+    m4a: 'audio/mp4',
+    ogg: 'audio/ogg'
+};
+
+function outgoingEntryMimeType(entry) {
+    if (entry.mimeType) {
+        return entry.mimeType;
+    }
+    const extension = /\.([a-z0-9]+)$/i.exec(entry.fileName ?? '')?.[1]?.toLowerCase();
+    return OUTGOING_EXTENSION_MIME_TYPES[extension] ?? 'video/webm';
+}
+
+function outgoingChunkRange(id) {
+    return IDBKeyRange.bound([id, 0], [id, Number.MAX_SAFE_INTEGER]);
+}
+
+async function readOutgoingEntry(id) {
+    const db = await openOutgoingDb();
+    try {
+        // Databases the page has not upgraded yet still keep the recording inline
+        const hasChunks = db.objectStoreNames.contains(OUTGOING_CHUNK_STORE_NAME);
+        const tx = db.transaction(hasChunks ? [OUTGOING_STORE_NAME, OUTGOING_CHUNK_STORE_NAME] : OUTGOING_STORE_NAME, 'readonly');
+        const entry = await requestToPromise(tx.objectStore(OUTGOING_STORE_NAME).get(id));
+        if (!entry) {
+            return null;
+        }
+
+        const parts = entry.data
+            ? [entry.data]
+            : hasChunks
+                ? (await requestToPromise(tx.objectStore(OUTGOING_CHUNK_STORE_NAME).getAll(outgoingChunkRange(id)))).map(chunk => chunk.data)
+                : [];
+        return parts.length > 0 ? { entry, blob: new Blob(parts, { type: outgoingEntryMimeType(entry) }) } : null;
+    } finally {
+        db.close();
+    }
+}
+
+async function deleteOutgoingEntry(id) {
+    const db = await openOutgoingDb();
+    try {
+        const hasChunks = db.objectStoreNames.contains(OUTGOING_CHUNK_STORE_NAME);
+        const tx = db.transaction(hasChunks ? [OUTGOING_STORE_NAME, OUTGOING_CHUNK_STORE_NAME] : OUTGOING_STORE_NAME, 'readwrite');
+        tx.objectStore(OUTGOING_STORE_NAME).delete(id);
+        if (hasChunks) {
+            tx.objectStore(OUTGOING_CHUNK_STORE_NAME).delete(outgoingChunkRange(id));
+        }
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// Mirrors updateStatus in outgoingQueue.js; the worker cannot import page modules
+async function updateOutgoingStatus(id, status, details = {}) {
+    const db = await openOutgoingDb();
+    try {
+        const store = db.transaction(OUTGOING_STORE_NAME, 'readwrite').objectStore(OUTGOING_STORE_NAME);
+        const record = await requestToPromise(store.get(id));
+        if (!record) {
+            return;
+        }
+
+        record.status = status;
+        record.attempts = record.attempts ?? 0;
+        if (status === 'uploading' && details.uploadedBytes === undefined) {
+            record.attempts += 1;
+            record.lastAttemptAt = new Date().toISOString();
+        }
+        if (status === 'failed') {
+            record.lastError = details.error || 'Upload failed.';
+        }
+        if (details.uploadedBytes !== undefined) {
+            record.uploadedBytes = details.uploadedBytes;
+        }
+        if (details.uploadSession !== undefined) {
+            record.uploadSession = details.uploadSession;
+        }
+        await requestToPromise(store.put(record));
+    } catch (error) {
+        console.warn('Failed to update outgoing entry status', error);
+    } finally {
+        db.close();
+    }
+}
+
+function uploadApiUrl(path) {
+    return new URL(`api/entries/uploads${path}`, self.registration.scope).toString();
+}
+
+async function postJson(path, body) {
+    const response = await fetch(uploadApiUrl(path), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        credentials: 'same-origin'
+    });
+    if (!response.ok) {
+        throw new Error(`Upload request failed with status ${response.status}`);
+    }
+    return response.json();
+}
+
+// Resumes the session kept on the entry (a failed tab upload or an earlier background attempt).
+// Completed uploads report every byte as received, so a lost complete response is simply repeated.
+async function resumeOutgoingSession(entry, blob) {
+    const session = entry.uploadSession;
+    if (session?.uploadId && session.totalBytes === blob.size) {
+        const response = await fetch(uploadApiUrl(`/${session.uploadId}`), { credentials: 'same-origin' });
+        if (response.ok) {
+            const result = await response.json();
+            return { ...session, offset: result.uploaded ?? 0 };
+        }
+    }
+
+    const { uploadId } = await postJson('/start', { fileName: entry.fileName || 'entry.webm', totalBytes: blob.size });
+    return { uploadId, totalBytes: blob.size, offset: 0, startedAt: new Date().toISOString() };
+}
+
+async function uploadOutgoingEntry(entry, blob, onProgress) {
+    const session = await resumeOutgoingSession(entry, blob);
+    const { uploadId } = session;
+    await onProgress(session.offset, session);
+
+    let offset = session.offset;
+    while (offset < blob.size) {
+        const chunk = blob.slice(offset, Math.min(blob.size, offset + UPLOAD_CHUNK_SIZE_BYTES));
+        const response = await fetch(uploadApiUrl(`/${uploadId}/chunk`), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'X-Upload-Offset': String(offset),
+                'X-Upload-Total': String(blob.size)
+            },
+            body: chunk,
+            credentials: 'same-origin'
+        });
+        if (!response.ok) {
+            throw new Error(`Chunk upload failed with status ${response.status}`);
+        }
+        const result = await response.json();
+        offset = result.uploaded ?? offset + chunk.size;
+        await onProgress(offset, session);
+    }
+
+    // The session stays open on failure so the next attempt resumes instead of starting over
+    return await postJson(`/${uploadId}/complete`, {
+        title: entry.title || '',
+        description: entry.description || null,
+        tags: entry.tags || null
+    });
+}
+
+async function notifyClients(message) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach(client => client.postMessage(message));
+}
+
+// Same lock names as wwwroot/js/tabCoordinator.js, so a tab and the worker never upload one entry twice
+function withOutgoingEntryLock(id, fn) {
+    if (!self.navigator?.locks?.request) {
+        return fn();
+    }
+    return self.navigator.locks.request(`diaryapp-outgoing:${id}`, { ifAvailable: true }, lock => (lock ? fn() : null));
+}
+
+async function flushOutgoingEntry(id) {
+    const stored = await readOutgoingEntry(id);
+    // Paused entries wait until the user resumes them from the Outgoing page
+    if (!stored || stored.entry.status === 'paused') {
+        return;
+    }
+
+    const { entry, blob } = stored;
+    try {
+        await updateOutgoingStatus(id, 'uploading');
+        const uploaded = await uploadOutgoingEntry(entry, blob, (uploadedBytes, uploadSession) =>
+            updateOutgoingStatus(id, 'uploading', { uploadedBytes, uploadSession: { ...uploadSession, offset: uploadedBytes } }));
+        await deleteOutgoingEntry(id);
+        await notifyClients({ type: 'outgoing-uploaded', id, entryId: uploaded?.id ?? null });
+    } catch (error) {
+        const message = error?.message ?? String(error);
+        await updateOutgoingStatus(id, 'failed', { error: message });
+        await notifyClients({ type: 'outgoing-failed', id, error: message });
+        throw error;
+    }
+}
+
+async function flushOutgoingQueueCore() {
+    const ids = await readOutgoingKeys();
+
+    for (const id of ids) {
+        try {
+            // Entries locked by a tab are being uploaded there already
+            await withOutgoingEntryLock(id, () => flushOutgoingEntry(id));
+        } catch (error) {
+            if (error instanceof TypeError) {
+                // Offline again: stop here and let the browser reschedule the sync
+                throw error;
+            }
+        }
+    }
+}
+
+function flushOutgoingQueue() {
+    if (!outgoingFlush) {
+        outgoingFlush = flushOutgoingQueueCore().finally(() => {
+            outgoingFlush = null;
+        });
+    }
+    return outgoingFlush;
+}
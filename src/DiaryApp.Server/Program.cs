@@ -343,6 +343,19 @@ uploads.MapPost("/start", (ChunkedUploadStartRequest request, ChunkedUploadStore
     return Results.Ok(new ChunkedUploadStartResponse(session.Id));
 });
 
+uploads.MapGet("/{id:guid}", (Guid id, ChunkedUploadStore uploadStore) =>
+{
+    var session = uploadStore.GetSession(id);
+    if (session is not null)
+    {
+        return Results.Ok(new UploadChunkResponse(session.UploadedBytes));
+    }
+
+    // Completed uploads report everything as received so resuming clients go straight to complete
+    var completed = uploadStore.GetCompleted(id);
+    return completed is null ? Results.NotFound() : Results.Ok(new UploadChunkResponse(completed.UploadedBytes));
+});
+
 uploads.MapPost("/{id:guid}/chunk", async (
     Guid id,
     HttpRequest httpRequest,
@@ -370,12 +383,26 @@ uploads.MapPost("/{id:guid}/complete", async (
     CancellationToken cancellationToken) =>
 {
     var session = uploadStore.Complete(id);
-    if (session is null || string.IsNullOrWhiteSpace(session.TempFilePath) || !File.Exists(session.TempFilePath))
+    if (session is null)
     {
+        // A retried complete (the first response was lost) returns the entry it already created
+        if (uploadStore.IsCompleting(id))
+        {
+            return Results.Conflict("The upload is still being completed.");
+        }
+
+        var completed = uploadStore.GetCompleted(id);
+        var existing = completed is null ? null : await store.GetAsync(completed.EntryId, cancellationToken);
+        return existing is null ? Results.NotFound() : Results.Ok(existing);
+    }
+    if (string.IsNullOrWhiteSpace(session.TempFilePath) || !File.Exists(session.TempFilePath))
+    {
+        uploadStore.AbandonCompletion(id);
         return Results.NotFound();
     }
     if (session.UploadedBytes <= 0)
     {
+        uploadStore.AbandonCompletion(id);
         TryDeleteFile(session.TempFilePath);
         return Results.BadRequest("Upload did not contain any data.");
     }
@@ -394,6 +421,7 @@ uploads.MapPost("/{id:guid}/complete", async (
         await using var stream = File.OpenRead(session.TempFilePath);
         var baseRequest = EntryEndpointHelpers.Normalize(new VideoEntryUpdateRequest(normalizedTitle, normalizedDescription, null, null, tags));
         var entry = await store.SaveAsync(stream, session.OriginalFileName, baseRequest, cancellationToken);
+        uploadStore.MarkCompleted(session, entry.Id);
 
         var transcriptOptionsValue = transcriptOptions.Value;
         var summaryOptionsValue = summaryOptions.Value;
@@ -435,6 +463,7 @@ uploads.MapPost("/{id:guid}/complete", async (
     }
     finally
     {
+        uploadStore.AbandonCompletion(id);
         TryDeleteFile(session.TempFilePath);
     }
 });
@@ -532,6 +561,23 @@ entries.MapPut("/{id:guid}", async (Guid id, VideoEntryUpdateRequest request, IV
     return Results.NoContent();
 });
 
+entries.MapPut("/{id:guid}/preview", async (Guid id, VideoEntryPreviewRequest request, IVideoEntryStore store, CancellationToken cancellationToken) =>
+{
+    if (!double.IsFinite(request.PreviewSecond) || request.PreviewSecond < 0)
+    {
+        return Results.BadRequest("PreviewSecond must be a non-negative number.");
+    }
+
+    var entry = await store.GetAsync(id, cancellationToken);
+    if (entry is null)
+    {
+        return Results.NotFound();
+    }
+
+    await store.UpdatePreviewSecondAsync(id, request.PreviewSecond, cancellationToken);
+    return Results.NoContent();
+});
+
 entries.MapDelete("/{id:guid}", async (Guid id, IVideoEntryStore store, ISearchIndex searchIndex, CancellationToken cancellationToken) =>
 {
     var deleted = await store.DeleteAsync(id, cancellationToken);
@@ -700,7 +746,8 @@ app.MapGet("/authentication/status", (HttpContext context) =>
       {
           lastProvider = provider;
       }
-      var payload = new UserStatusDto(isAuthenticated, name, authenticationConfigured, lastProvider, gitHubRepositoryUrl);
+      var accountId = !authenticationConfigured ? "local" : isAuthenticated ? GetAccountId(principal!) : null;
+      var payload = new UserStatusDto(isAuthenticated, name, authenticationConfigured, lastProvider, gitHubRepositoryUrl, accountId);
       return Results.Json(payload, DiaryAppJsonSerializerContext.Default.UserStatusDto);
   }).AllowAnonymous();
 
@@ -803,6 +850,18 @@ static void ForgetLastProvider(HttpContext context)
     context.Response.Cookies.Delete(LastProviderCookieName, new CookieOptions { Path = "/" });
 }
 
+// Issuer plus subject: stable across display-name changes and never shared between providers
+static string GetAccountId(ClaimsPrincipal principal)
+{
+    var subject = principal.FindFirst(ClaimTypes.NameIdentifier) ?? principal.FindFirst("sub");
+    if (subject is not null)
+    {
+        return $"{subject.Issuer}|{subject.Value}";
+    }
+
+    return principal.FindFirst(DiaryAppClaimTypes.UserId)?.Value ?? principal.Identity?.Name ?? "user";
+}
+
 static long ParseHeaderLong(IHeaderDictionary headers, string key, long defaultValue)
     => headers.TryGetValue(key, out var values) && long.TryParse(values, out var parsed)
         ? parsed
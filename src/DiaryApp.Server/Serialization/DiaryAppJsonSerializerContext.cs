@@ -21,6 +21,7 @@ namespace DiaryApp.Server.Serialization;
 [JsonSerializable(typeof(StoredVideoEntry))]
 [JsonSerializable(typeof(UserMediaPreferences))]
 [JsonSerializable(typeof(VideoEntryUpdateRequest))]
+[JsonSerializable(typeof(VideoEntryPreviewRequest))]
 [JsonSerializable(typeof(SearchQuery))]
 [JsonSerializable(typeof(VideoEntrySearchResult))]
 [JsonSerializable(typeof(VideoEntrySearchResult[]))]
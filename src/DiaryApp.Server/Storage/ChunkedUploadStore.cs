@@ -14,8 +14,12 @@ namespace DiaryApp.Server.Storage;
 public sealed class ChunkedUploadStore
 {
     private const string DefaultUserSegment = "default";
+    // How long a completed upload still answers repeated complete requests (lost responses, retries)
+    private static readonly TimeSpan CompletedUploadRetention = TimeSpan.FromDays(1);
 
     private readonly ConcurrentDictionary<Guid, UploadSession> _sessions = new();
+    private readonly ConcurrentDictionary<Guid, CompletedUpload> _completed = new();
+    private readonly ConcurrentDictionary<Guid, UploadSession> _completing = new();
     private readonly StorageOptions _options;
     private readonly IHttpContextAccessor _httpContextAccessor;
     private readonly ILogger<ChunkedUploadStore> _logger;
@@ -88,6 +92,11 @@ public sealed class ChunkedUploadStore
         return uploadedBytes;
     }
 
+    public UploadSession? GetSession(Guid uploadId)
+        => _sessions.TryGetValue(uploadId, out var session) && IsOwnedByCurrentUser(session)
+            ? session
+            : null;
+
     public UploadSession? Complete(Guid uploadId)
     {
         if (!_sessions.TryGetValue(uploadId, out var session) || !IsOwnedByCurrentUser(session))
@@ -95,10 +104,49 @@ public sealed class ChunkedUploadStore
             return null;
         }
 
-        _sessions.TryRemove(uploadId, out _);
+        // Only one concurrent complete request wins the session
+        if (!_sessions.TryRemove(uploadId, out _))
+        {
+            return null;
+        }
+
+        _completing[uploadId] = session;
         return session;
     }
 
+    /// <summary>True while another request is still turning the upload into an entry.</summary>
+    public bool IsCompleting(Guid uploadId)
+        => _completing.TryGetValue(uploadId, out var session) && IsOwnedByCurrentUser(session);
+
+    /// <summary>Ends a complete request that failed before an entry was created.</summary>
+    public void AbandonCompletion(Guid uploadId)
+        => _completing.TryRemove(uploadId, out _);
+
+    /// <summary>
+    /// Remembers the entry created from an upload so a client that lost the complete response can
+    /// ask again and get the same entry instead of a 404 (and a duplicate upload).
+    /// </summary>
+    public void MarkCompleted(UploadSession session, Guid entryId)
+    {
+        var cutoff = DateTimeOffset.UtcNow - CompletedUploadRetention;
+        foreach (var (id, completed) in _completed)
+        {
+            if (completed.CompletedAt < cutoff)
+            {
+                _completed.TryRemove(id, out _);
+            }
+        }
+
+        _completed[session.Id] = new CompletedUpload(entryId, session.UserSegment, session.UploadedBytes, DateTimeOffset.UtcNow);
+        _completing.TryRemove(session.Id, out _);
+    }
+
+    public CompletedUpload? GetCompleted(Guid uploadId)
+        => _completed.TryGetValue(uploadId, out var completed) &&
+           string.Equals(completed.UserSegment, GetCurrentUserSegment(), StringComparison.OrdinalIgnoreCase)
+            ? completed
+            : null;
+
     public bool Cancel(Guid uploadId)
     {
         if (!_sessions.TryGetValue(uploadId, out var session) || !IsOwnedByCurrentUser(session))
@@ -199,3 +247,9 @@ public sealed record UploadSession(
     long TotalBytes,
     long UploadedBytes,
     DateTimeOffset CreatedAt);
+
+public sealed record CompletedUpload(
+    Guid EntryId,
+    string UserSegment,
+    long UploadedBytes,
+    DateTimeOffset CompletedAt);
@@ -421,6 +421,29 @@ public sealed class FileSystemVideoEntryStore : IVideoEntryStore
         }
     }
 
+    public async Task UpdatePreviewSecondAsync(Guid id, double previewSecond, CancellationToken cancellationToken)
+    {
+        var userSegment = GetCurrentUserSegment();
+        await EnsureInitializedAsync(userSegment, cancellationToken).ConfigureAwait(false);
+
+        await _gate.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            var cache = GetOrCreateCache(userSegment);
+            if (!cache.TryGetValue(id, out var existing))
+            {
+                return;
+            }
+
+            cache[id] = existing with { PreviewSecond = previewSecond };
+            await PersistLockedAsync(userSegment, cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            _gate.Release();
+        }
+    }
+
     private async Task<float[]?> GenerateEmbeddingAsync(String? description, CancellationToken cancellationToken)
     {
         if (string.IsNullOrWhiteSpace(description))
@@ -679,7 +702,8 @@ public sealed class FileSystemVideoEntryStore : IVideoEntryStore
             entry.StartedAt,
             entry.CompletedAt,
             entry.ProcessingStatus,
-            embedding);
+            embedding,
+            entry.PreviewSecond);
     }
 
     private UserMediaPreferences GetOrCreatePreferences(string userSegment)
@@ -1070,7 +1094,9 @@ internal sealed record StoredVideoEntry(
     VideoEntryProcessingStatus ProcessingStatus,
     [property: JsonConverter(typeof(DescriptionEmbeddingConverter))]
     [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
-    string? DescriptionEmbedding = null);
+    string? DescriptionEmbedding = null,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    double? PreviewSecond = null);
 
 internal sealed record StoredUserEntriesDocument(
     IReadOnlyCollection<StoredVideoEntry> Entries,
@@ -17,6 +17,7 @@ public interface IVideoEntryStore
     Task UpdateDescriptionEmbeddingAsync(Guid id, float[]? embedding, CancellationToken cancellationToken);
     Task UpdateProcessingStatusAsync(Guid id, VideoEntryProcessingStatus status, CancellationToken cancellationToken);
     Task UpdateProcessingStatusAsync(Guid id, string userSegment, VideoEntryProcessingStatus status, CancellationToken cancellationToken);
+    Task UpdatePreviewSecondAsync(Guid id, double previewSecond, CancellationToken cancellationToken);
     string GetCurrentUserSegment();
     void InvalidateUserCache(string? userSegment = null);
 }
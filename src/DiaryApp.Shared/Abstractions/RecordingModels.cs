@@ -0,0 +1,76 @@
+namespace DiaryApp.Shared.Abstractions;
+
+public sealed record RecoverableRecording(
+    string Id,
+    string MimeType,
+    DateTimeOffset StartedAt,
+    DateTimeOffset UpdatedAt,
+    long SizeBytes);
+
+public sealed record RecordingState(
+    string State,
+    long ElapsedMs,
+    long PausedMs,
+    long SizeBytes,
+    bool AudioOnly = false)
+{
+    public static readonly RecordingState Inactive = new("inactive", 0, 0, 0);
+
+    public bool IsRecording => State == "recording";
+    public bool IsPaused => State == "paused";
+}
+
+public sealed record QualityProfile(
+    string Name,
+    string Label,
+    int Width,
+    int Height,
+    int FrameRate,
+    long VideoBitsPerSecond,
+    long AudioBitsPerSecond);
+
+public sealed record VideoDimensions(int? Width, int? Height, double? FrameRate);
+
+public sealed record RecorderSettings(string Encoder, string? MimeType, long? VideoBitsPerSecond, long? AudioBitsPerSecond);
+
+/// <summary>
+/// What the device and browser actually negotiated for a recording, which can be lower than the
+/// requested <see cref="QualityProfile"/>. Capture is the source as delivered by the camera or
+/// screen; Output is the recorded frame after scaling.
+/// </summary>
+public sealed record EffectiveRecordingSettings(
+    string Profile,
+    bool AudioOnly,
+    VideoDimensions Capture,
+    VideoDimensions Output,
+    RecorderSettings Recorder);
+
+/// <summary>
+/// Raised when a capture device went away while recording and the recorder tried to replace it.
+/// Kind is "audioinput", "videoinput" or "screen" (sharing stopped, so the webcam took over).
+/// DeviceId is null when the system default was used or nothing could be opened.
+/// </summary>
+public sealed record CaptureDeviceRecovery(string Kind, string? DeviceId, string? Label, bool Succeeded)
+{
+    public bool IsMicrophone => Kind == "audioinput";
+    public bool IsScreen => Kind == "screen";
+}
+
+/// <summary>
+/// Raised by the level meter while recording: "silence" (nothing above the noise floor for a few
+/// seconds), "clipping", "muted" (the device stopped delivering audio) or "track-ended" (the
+/// microphone was unplugged or revoked). Active is false when a condition clears.
+/// </summary>
+public sealed record AudioAlert(string Type, bool Active, double? LevelDb)
+{
+    public bool IsSilence => Type == "silence";
+    public bool IsClipping => Type == "clipping";
+    public bool IsMuted => Type == "muted";
+    public bool IsTrackEnded => Type == "track-ended";
+}
+
+/// <summary>
+/// The camera in use after a flip. FacingMode is "user" (front) or "environment" (back), or null on
+/// desktops, where the next camera in the device list is used instead.
+/// </summary>
+public sealed record CameraFlipResult(string? FacingMode, string? DeviceId, string? Label);
@@ -15,6 +15,7 @@ public interface IVideoEntryClient
     Task<VideoEntryDto> CompleteUploadAsync(Guid uploadId, ChunkedUploadCompleteRequest request, CancellationToken cancellationToken = default);
     Task CancelUploadAsync(Guid uploadId, CancellationToken cancellationToken = default);
     Task UpdateAsync(Guid id, VideoEntryUpdateRequest request, CancellationToken cancellationToken = default);
+    Task UpdatePreviewSecondAsync(Guid id, double previewSecond, CancellationToken cancellationToken = default);
     Task DeleteAsync(Guid id, CancellationToken cancellationToken = default);
 }
 
@@ -40,10 +41,39 @@ public interface ISearchClient
 
 public interface IVideoCaptureService
 {
-    Task StartRecordingAsync(ElementReference videoElement, ElementReference? meterElement = null, bool captureScreen = false);
+    Task<EffectiveRecordingSettings> StartRecordingAsync(ElementReference videoElement, ElementReference? meterElement = null, bool captureScreen = false, bool audioOnly = false);
     Task SwitchCaptureAsync(ElementReference videoElement, ElementReference? meterElement = null, bool captureScreen = false);
+    Task<EffectiveRecordingSettings?> GetEffectiveRecordingSettingsAsync();
+    Task<IReadOnlyList<QualityProfile>> GetQualityProfilesAsync();
+    Task<bool> CanFlipCameraAsync();
+    Task<CameraFlipResult?> FlipCameraAsync();
+    Task SetEffectsAsync(RecordingEffects effects);
+    Task SetAudioProcessingAsync(AudioProcessingSettings settings);
+    Task PauseRecordingAsync();
+    Task ResumeRecordingAsync();
+    Task<RecordingState> GetRecordingStateAsync();
     Task StopRecordingAsync();
     Task<Stream?> GetRecordedStreamAsync();
+    Task<IRecordingReader?> OpenRecordingReaderAsync();
+    /// <summary>MIME type of the finished recording, or null when there is none.</summary>
+    Task<string?> GetRecordingMimeTypeAsync();
+    Task DiscardRecordingAsync();
+    Task<double?> OpenTrimPreviewAsync(ElementReference videoElement);
+    Task SeekTrimPreviewAsync(double seconds);
+    Task CloseTrimPreviewAsync();
+    Task<long> TrimRecordingAsync(double startSeconds, double endSeconds, IProgress<double>? progress = null, CancellationToken cancellationToken = default);
+    Task<IReadOnlyCollection<RecoverableRecording>> ListRecoverableRecordingsAsync();
+    Task<RecoverableRecording?> RecoverRecordingAsync(string id);
+    Task DiscardRecoverableRecordingAsync(string id);
+    Task<IAsyncDisposable> WatchAudioAlertsAsync(Func<AudioAlert, Task> onAlert);
+    Task<IAsyncDisposable> WatchCaptureRecoveryAsync(Func<CaptureDeviceRecovery, Task> onRecovery);
+}
+
+public interface IRecordingReader : IAsyncDisposable
+{
+    long Size { get; }
+    string MimeType { get; }
+    Task<byte[]> ReadChunkAsync(long offset, int length, CancellationToken cancellationToken = default);
 }
 
 public interface IMediaSettingsClient
@@ -57,6 +87,8 @@ public interface IDevicePreferencesService
     Task<DevicePreferences> GetDevicePreferencesAsync();
     Task<bool> SaveDevicePreferencesAsync(DevicePreferences preferences);
     Task ClearDevicePreferencesAsync();
+    Task<RecordingPreferences> GetRecordingPreferencesAsync();
+    Task<bool> SaveRecordingPreferencesAsync(RecordingPreferences preferences);
 }
 
 public interface IServerSettingsClient
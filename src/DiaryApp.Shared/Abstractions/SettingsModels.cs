@@ -6,7 +6,71 @@ public sealed record DevicePreferences(
     string? CameraDeviceId,
     string? MicrophoneDeviceId,
     string? CameraLabel,
-    string? MicrophoneLabel)
+    string? MicrophoneLabel,
+    string? CameraFacingMode = null)
 {
     public static readonly DevicePreferences Default = new(null, null, null, null);
 }
+
+/// <summary>
+/// Adjustments and overlays drawn into every recorded frame. Brightness, contrast and saturation
+/// are multipliers where 1 leaves the picture unchanged; Mirror flips the recorded picture horizontally.
+/// </summary>
+public sealed record RecordingEffects(
+    double Brightness = 1,
+    double Contrast = 1,
+    double Saturation = 1,
+    bool Timestamp = false,
+    string? Caption = null,
+    string? Location = null,
+    bool Mirror = false)
+{
+    public static readonly RecordingEffects Default = new();
+}
+
+/// <summary>
+/// The webcam bubble composited over screen captures. Shape is "circle", "rounded" or "rectangle",
+/// Corner one of "top-left", "top-right", "bottom-left" or "bottom-right", and Size the bubble
+/// width as a fraction of the frame (0.1 to 0.5).
+/// </summary>
+public sealed record PictureInPictureLayout(
+    bool Enabled = false,
+    string Shape = "circle",
+    string Corner = "bottom-right",
+    double Size = 0.22)
+{
+    public static readonly PictureInPictureLayout Default = new();
+}
+
+/// <summary>
+/// Voice processing applied to recordings. The first three are browser constraints on the
+/// microphone; the rest are Web Audio stages. HighPassHz of 0 disables the filter, and the gains
+/// are multipliers (0 to 4) used when screen audio and the microphone are mixed.
+/// </summary>
+public sealed record AudioProcessingSettings(
+    bool NoiseSuppression = true,
+    bool EchoCancellation = true,
+    bool AutoGainControl = true,
+    double HighPassHz = 80,
+    bool Compressor = true,
+    bool Limiter = true,
+    bool NoiseGate = false,
+    double NoiseGateThresholdDb = -50,
+    double MicrophoneGain = 1,
+    double ScreenAudioGain = 1)
+{
+    public static readonly AudioProcessingSettings Default = new();
+}
+
+/// <summary>
+/// Recorder settings kept on this device alongside <see cref="DevicePreferences"/>. QualityProfile
+/// names one of the recorder's profiles ("data-saver", "standard" or "high").
+/// </summary>
+public sealed record RecordingPreferences(
+    RecordingEffects Effects,
+    PictureInPictureLayout PictureInPicture,
+    string QualityProfile = "standard",
+    AudioProcessingSettings? AudioProcessing = null)
+{
+    public static readonly RecordingPreferences Default = new(RecordingEffects.Default, PictureInPictureLayout.Default);
+}
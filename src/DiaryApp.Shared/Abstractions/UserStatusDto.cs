@@ -5,4 +5,6 @@ public sealed record UserStatusDto(
     string? Name,
     bool AuthenticationEnabled,
     string? LastProvider,
-    string? GitHubRepositoryUrl);
+    string? GitHubRepositoryUrl,
+    // Provider-scoped subject of the signed-in account ("local" without sign-in); partitions offline caches
+    string? AccountId = null);
@@ -23,7 +23,8 @@ public record VideoEntryDto(
     DateTimeOffset StartedAt,
     DateTimeOffset? CompletedAt,
     VideoEntryProcessingStatus ProcessingStatus = VideoEntryProcessingStatus.None,
-    [property: JsonIgnore] float[]? DescriptionEmbedding = null);
+    [property: JsonIgnore] float[]? DescriptionEmbedding = null,
+    double? PreviewSecond = null);
 
 public record VideoEntryUpdateRequest(
     string Title,
@@ -32,6 +33,8 @@ public record VideoEntryUpdateRequest(
     string? Transcript,
     IReadOnlyCollection<string> Tags);
 
+public record VideoEntryPreviewRequest(double PreviewSecond);
+
 public record VideoEntrySearchResult(
     Guid Id,
     string Title,